@@ -0,0 +1,56 @@
+// Failed local logins, tracked in memory per username + client address.
+// After LOGIN_MAX_ATTEMPTS failures within LOGIN_LOCKOUT_MINUTES that pair is
+// locked out until the window passes; a client address is also capped across
+// all usernames, so one client cannot spray passwords over many accounts.
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_ATTEMPTS_PER_CLIENT = MAX_ATTEMPTS * 4;
+const WINDOW_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+const failures = new Map(); // key -> { count, firstAt }
+
+function keysFor(username, clientIp) {
+  return [
+    { key: `user:${String(username).toLowerCase()}:${clientIp}`, max: MAX_ATTEMPTS },
+    { key: `client:${clientIp}`, max: MAX_ATTEMPTS_PER_CLIENT }
+  ];
+}
+
+function current(key, now) {
+  const entry = failures.get(key);
+  if (entry && now - entry.firstAt >= WINDOW_MS) {
+    failures.delete(key);
+    return null;
+  }
+  return entry || null;
+}
+
+// Milliseconds until the caller may try again, or 0 when not locked out
+function lockedFor(username, clientIp, now = Date.now()) {
+  let wait = 0;
+  for (const { key, max } of keysFor(username, clientIp)) {
+    const entry = current(key, now);
+    if (entry && entry.count >= max) wait = Math.max(wait, entry.firstAt + WINDOW_MS - now);
+  }
+  return wait;
+}
+
+// Expired entries are otherwise only dropped when their key is seen again
+const SWEEP_THRESHOLD = 10000;
+
+function recordFailure(username, clientIp, now = Date.now()) {
+  if (failures.size > SWEEP_THRESHOLD) {
+    for (const key of [...failures.keys()]) current(key, now);
+  }
+  for (const { key } of keysFor(username, clientIp)) {
+    const entry = current(key, now);
+    if (entry) entry.count++;
+    else failures.set(key, { count: 1, firstAt: now });
+  }
+}
+
+// A successful login clears that user's failures from this client
+function recordSuccess(username, clientIp) {
+  failures.delete(keysFor(username, clientIp)[0].key);
+}
+
+module.exports = { MAX_ATTEMPTS, lockedFor, recordFailure, recordSuccess };
@@ -0,0 +1,44 @@
+const sessionRepository = require('../repositories/sessionRepository');
+const userRepository = require('../repositories/userRepository');
+const { hasRole } = require('./roles');
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// EventSource cannot set headers, so event streams may pass the token as
+// `?access_token=` instead
+function requestToken(req) {
+  const token = bearerToken(req);
+  if (token) return token;
+  const streaming = (req.headers.accept || '').includes('text/event-stream');
+  return streaming && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+}
+
+// Resolves the bearer token to a user and attaches it as req.user
+function authenticate(req, res, next) {
+  const token = requestToken(req);
+  const session = sessionRepository.findByToken(token);
+  const user = session && userRepository.findById(session.userId);
+
+  if (!user || user.disabled) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = userRepository.toPublic(user);
+  req.sessionToken = token;
+  next();
+}
+
+function requireRole(minimumRole) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, minimumRole)) {
+      return res.status(403).json({ error: `Requires ${minimumRole} role` });
+    }
+    next();
+  };
+}
+
+module.exports = { authenticate, requireRole };
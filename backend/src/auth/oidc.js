@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../config/logger');
+
+// OpenID Connect authorization-code login. Enabled when OIDC_ISSUER and
+// OIDC_CLIENT_ID are set; IdP roles/groups from OIDC_ROLE_CLAIM are mapped to
+// SecureCoda roles via OIDC_ADMIN_ROLES / OIDC_ANALYST_ROLES.
+const OIDC_CONFIG = {
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID || '',
+  clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+  redirectUri: process.env.OIDC_REDIRECT_URI || 'http://localhost:3001/api/auth/oidc/callback',
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups',
+  adminRoles: splitList(process.env.OIDC_ADMIN_ROLES),
+  analystRoles: splitList(process.env.OIDC_ANALYST_ROLES),
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || 'viewer',
+  providerName: process.env.OIDC_PROVIDER_NAME || 'SSO'
+};
+
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+const pendingLogins = new Map(); // state -> { nonce, expiresAt }
+let discovery = null;
+
+function splitList(value) {
+  return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function isEnabled() {
+  return Boolean(OIDC_CONFIG.issuer && OIDC_CONFIG.clientId);
+}
+
+async function discover() {
+  if (!discovery) {
+    const response = await axios.get(`${OIDC_CONFIG.issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+    discovery = response.data;
+  }
+  return discovery;
+}
+
+function purgeExpiredLogins() {
+  const now = Date.now();
+  for (const [state, login] of pendingLogins) {
+    if (login.expiresAt <= now) pendingLogins.delete(state);
+  }
+}
+
+async function buildLoginUrl() {
+  const { authorization_endpoint: authorizationEndpoint } = await discover();
+  purgeExpiredLogins();
+
+  const state = crypto.randomBytes(16).toString('base64url');
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  pendingLogins.set(state, { nonce, expiresAt: Date.now() + LOGIN_TTL_MS });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CONFIG.clientId,
+    redirect_uri: OIDC_CONFIG.redirectUri,
+    scope: OIDC_CONFIG.scopes,
+    state,
+    nonce
+  });
+  return `${authorizationEndpoint}?${params}`;
+}
+
+function decodeJwtPayload(token) {
+  const payload = token.split('.')[1];
+  if (!payload) throw new Error('id_token is not a JWT');
+  return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+}
+
+function roleFromClaims(claims) {
+  const value = claims[OIDC_CONFIG.roleClaim];
+  const idpRoles = Array.isArray(value) ? value : splitList(typeof value === 'string' ? value : '');
+  if (idpRoles.some(r => OIDC_CONFIG.adminRoles.includes(r))) return 'admin';
+  if (idpRoles.some(r => OIDC_CONFIG.analystRoles.includes(r))) return 'analyst';
+  return OIDC_CONFIG.defaultRole;
+}
+
+// Exchanges the authorization code and returns the identity to log in. The
+// id_token comes straight from the token endpoint over TLS, so its claims are
+// checked (issuer, audience, expiry, nonce) without verifying the signature.
+async function completeLogin({ code, state }) {
+  const login = pendingLogins.get(state);
+  pendingLogins.delete(state);
+  if (!login || login.expiresAt <= Date.now()) throw new Error('Login request expired or unknown state');
+  if (!code) throw new Error('Missing authorization code');
+
+  const { token_endpoint: tokenEndpoint, issuer } = await discover();
+  const response = await axios.post(tokenEndpoint, new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: OIDC_CONFIG.redirectUri,
+    client_id: OIDC_CONFIG.clientId,
+    client_secret: OIDC_CONFIG.clientSecret
+  }).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: 10000
+  });
+
+  const claims = decodeJwtPayload(response.data.id_token || '');
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== issuer) throw new Error('id_token issuer mismatch');
+  if (!audiences.includes(OIDC_CONFIG.clientId)) throw new Error('id_token audience mismatch');
+  if (!claims.exp || claims.exp * 1000 <= Date.now()) throw new Error('id_token expired');
+  if (claims.nonce !== login.nonce) throw new Error('id_token nonce mismatch');
+
+  const role = roleFromClaims(claims);
+  logger.info(`OIDC login for ${claims.email || claims.sub} mapped to role ${role}`);
+  return {
+    subject: claims.sub,
+    email: claims.email,
+    displayName: claims.name || claims.preferred_username || claims.email || claims.sub,
+    role
+  };
+}
+
+module.exports = { OIDC_CONFIG, isEnabled, buildLoginUrl, completeLogin };
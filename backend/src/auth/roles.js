@@ -0,0 +1,9 @@
+// Each role includes everything the roles before it can do
+const ROLES = ['viewer', 'analyst', 'admin'];
+
+function hasRole(user, minimumRole) {
+  if (!user) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(minimumRole);
+}
+
+module.exports = { ROLES, hasRole };
@@ -0,0 +1,361 @@
+const axios = require('axios');
+const logger = require('../config/logger');
+const { createRequestQueue } = require('./requestQueue');
+const { CODA_ERROR_CODES, toCodaApiError, classifyError } = require('./errors');
+
+const CODA_API_TOKEN = process.env.CODA_API_TOKEN;
+// Overridable so the scanner can be pointed at a local mock Coda server
+const CODA_BASE_URL = process.env.CODA_BASE_URL || 'https://coda.io/apis/v1';
+
+// Page size requested per call, and a safety cap on pages followed per listing
+const PAGE_SIZES = {
+  docs: parseInt(process.env.CODA_DOCS_PAGE_SIZE) || 50,
+  tables: parseInt(process.env.CODA_TABLES_PAGE_SIZE) || 100,
+  rows: parseInt(process.env.CODA_ROWS_PAGE_SIZE) || 100,
+  pages: parseInt(process.env.CODA_PAGES_PAGE_SIZE) || 100
+};
+const MAX_PAGES = parseInt(process.env.CODA_MAX_PAGES) || 1000;
+
+const MAX_CONCURRENCY = parseInt(process.env.CODA_MAX_CONCURRENCY) || 4;
+const MAX_RETRIES = parseInt(process.env.CODA_MAX_RETRIES) || 5;
+const RETRY_BASE_MS = parseInt(process.env.CODA_RETRY_BASE_MS) || 500;
+const RETRY_MAX_MS = parseInt(process.env.CODA_RETRY_MAX_MS) || 60000;
+
+// Page content is exported asynchronously by Coda and polled until ready
+const EXPORT_POLL_MS = parseInt(process.env.CODA_EXPORT_POLL_MS) || 1000;
+const EXPORT_MAX_POLLS = parseInt(process.env.CODA_EXPORT_MAX_POLLS) || 30;
+
+const codaClient = axios.create({
+  baseURL: CODA_BASE_URL,
+  timeout: parseInt(process.env.CODA_TIMEOUT_MS) || 30000,
+  headers: {
+    'Authorization': `Bearer ${CODA_API_TOKEN}`,
+    'Content-Type': 'application/json'
+  }
+});
+
+const queue = createRequestQueue({ concurrency: MAX_CONCURRENCY });
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After may be delta-seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function retryDelay(error, attempt) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) return Math.min(retryAfter, RETRY_MAX_MS);
+  const backoff = RETRY_BASE_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * RETRY_BASE_MS, RETRY_MAX_MS);
+}
+
+// A POST may have been applied even when its response was lost, so it is
+// only retried when Coda certainly did not process it: rate limited, or the
+// connection was refused
+const NON_IDEMPOTENT_METHODS = ['post', 'patch'];
+
+function isRetryable(error, code, method) {
+  if (code === CODA_ERROR_CODES.CLIENT_ERROR) return false;
+  if (!NON_IDEMPOTENT_METHODS.includes(method)) return true;
+  return code === CODA_ERROR_CODES.RATE_LIMITED || error.code === 'ECONNREFUSED';
+}
+
+// All Coda calls go through here: queued, concurrency-limited and retried on
+// 429 / 5xx / network failures (see isRetryable). Throws CodaApiError once
+// retries run out.
+async function request(config) {
+  const method = (config.method || 'get').toLowerCase();
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await queue.enqueue(() => codaClient.request(config));
+    } catch (error) {
+      // The earlier attempt did delete it; only its response was lost
+      if (method === 'delete' && attempt > 0 && error.response?.status === 404) {
+        logger.info(`Coda ${config.url} already gone on retry ${attempt}, treating the delete as done`);
+        return error.response;
+      }
+
+      const code = classifyError(error);
+      if (!isRetryable(error, code, method) || attempt >= MAX_RETRIES) {
+        throw toCodaApiError(error, attempt + 1);
+      }
+
+      const delay = retryDelay(error, attempt);
+      // A 429 applies to the whole token, so hold back every queued request
+      if (code === CODA_ERROR_CODES.RATE_LIMITED) queue.pause(delay);
+
+      logger.warn(`Coda ${code} on ${method} ${config.url}, retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Follows nextPageToken until the listing is exhausted (or MAX_PAGES is hit)
+async function fetchAllPages(url, params = {}) {
+  const items = [];
+  let pageToken;
+  let pages = 0;
+
+  do {
+    const response = await request({
+      method: 'get',
+      url,
+      params: pageToken ? { ...params, pageToken } : params
+    });
+    items.push(...(response.data.items || []));
+    pageToken = response.data.nextPageToken;
+    pages++;
+  } while (pageToken && pages < MAX_PAGES);
+
+  if (pageToken) {
+    logger.warn(`Stopped paginating ${url} after ${MAX_PAGES} pages (CODA_MAX_PAGES); results are incomplete`);
+  }
+
+  return items;
+}
+
+async function fetchDocumentsFromCoda() {
+  try {
+    const items = await fetchAllPages('/docs', { limit: PAGE_SIZES.docs });
+    logger.info(`Fetched ${items.length} documents from Coda`);
+    return items;
+  } catch (error) {
+    const status = error.response?.status;
+    const errorMsg = error.response?.data?.message || error.message;
+    logger.error(`Error fetching documents from Coda: ${status} - ${errorMsg}`);
+    throw error;
+  }
+}
+
+// Errors are rethrown rather than swallowed: an empty list must only ever
+// mean "nothing there", never "Coda refused to answer"
+async function fetchTablesFromCoda(docId) {
+  try {
+    return await fetchAllPages(`/docs/${docId}/tables`, { limit: PAGE_SIZES.tables });
+  } catch (error) {
+    logger.error(`Error fetching tables for doc ${docId}: ${error.message}`);
+    throw error;
+  }
+}
+
+async function fetchRowsFromCoda(docId, tableId) {
+  try {
+    return await fetchAllPages(`/docs/${docId}/tables/${tableId}/rows`, { limit: PAGE_SIZES.rows });
+  } catch (error) {
+    logger.error(`Error fetching rows for table ${tableId}: ${error.message}`);
+    throw error;
+  }
+}
+
+// Row values are keyed by column id; this gives the names shown in Coda
+async function fetchColumnsFromCoda(docId, tableId) {
+  try {
+    return await fetchAllPages(`/docs/${docId}/tables/${tableId}/columns`);
+  } catch (error) {
+    logger.error(`Error fetching columns for table ${tableId}: ${error.message}`);
+    throw error;
+  }
+}
+
+async function fetchPagesFromCoda(docId) {
+  try {
+    return await fetchAllPages(`/docs/${docId}/pages`, { limit: PAGE_SIZES.pages });
+  } catch (error) {
+    logger.error(`Error fetching pages for doc ${docId}: ${error.message}`);
+    throw error;
+  }
+}
+
+// Starts a markdown export of the page, waits for it and downloads the result
+async function exportPageContent(docId, pageId) {
+  try {
+    const started = await request({
+      method: 'post',
+      url: `/docs/${docId}/pages/${pageId}/export`,
+      data: { outputFormat: 'markdown' }
+    });
+
+    let status = started.data;
+    for (let poll = 0; status.status !== 'complete'; poll++) {
+      if (status.status === 'failed') {
+        throw new Error(`Export of page ${pageId} failed: ${status.error || 'unknown error'}`);
+      }
+      if (poll >= EXPORT_MAX_POLLS) {
+        throw new Error(`Export of page ${pageId} did not finish after ${EXPORT_MAX_POLLS} polls`);
+      }
+      await sleep(EXPORT_POLL_MS);
+      const response = await request({ method: 'get', url: `/docs/${docId}/pages/${pageId}/export/${started.data.id}` });
+      status = response.data;
+    }
+
+    // The download link is a pre-signed URL outside the API; no auth header
+    const download = await axios.get(status.downloadLink, { responseType: 'text', timeout: codaClient.defaults.timeout });
+    return typeof download.data === 'string' ? download.data : JSON.stringify(download.data);
+  } catch (error) {
+    logger.error(`Error exporting page ${pageId} of doc ${docId}: ${error.message}`);
+    throw error;
+  }
+}
+
+// Formulas and controls are listed without values, so each one is fetched
+async function fetchNamedValues(docId, kind) {
+  const items = await fetchAllPages(`/docs/${docId}/${kind}`);
+  const detailed = [];
+  for (const item of items) {
+    const response = await request({ method: 'get', url: `/docs/${docId}/${kind}/${item.id}` });
+    detailed.push(response.data);
+  }
+  return detailed;
+}
+
+async function fetchFormulasFromCoda(docId) {
+  try {
+    return await fetchNamedValues(docId, 'formulas');
+  } catch (error) {
+    logger.error(`Error fetching formulas for doc ${docId}: ${error.message}`);
+    throw error;
+  }
+}
+
+async function fetchControlsFromCoda(docId) {
+  try {
+    return await fetchNamedValues(docId, 'controls');
+  } catch (error) {
+    logger.error(`Error fetching controls for doc ${docId}: ${error.message}`);
+    throw error;
+  }
+}
+
+async function fetchRowFromCoda(docId, tableId, rowId) {
+  try {
+    const response = await request({ method: 'get', url: `/docs/${docId}/tables/${tableId}/rows/${rowId}` });
+    return response.data;
+  } catch (error) {
+    logger.error(`Error fetching row ${rowId}: ${error.message}`);
+    throw error;
+  }
+}
+
+// Rewrites a single cell; other columns of the row are left untouched
+async function updateRowCellInCoda(docId, tableId, rowId, columnId, value) {
+  try {
+    await request({
+      method: 'put',
+      url: `/docs/${docId}/tables/${tableId}/rows/${rowId}`,
+      data: { row: { cells: [{ column: columnId, value }] } }
+    });
+    logger.info(`Updated column ${columnId} of row ${rowId} in Coda`);
+    return true;
+  } catch (error) {
+    logger.error(`Error updating row ${rowId}: ${error.message}`);
+    throw error;
+  }
+}
+
+async function fetchDocFromCoda(docId) {
+  try {
+    const response = await request({ method: 'get', url: `/docs/${docId}` });
+    return response.data;
+  } catch (error) {
+    logger.error(`Error fetching doc ${docId}: ${error.message}`);
+    throw error;
+  }
+}
+
+async function publishDocInCoda(docId, settings) {
+  try {
+    await request({ method: 'put', url: `/docs/${docId}/publish`, data: settings });
+    logger.info(`Published doc ${docId} in Coda`);
+    return true;
+  } catch (error) {
+    logger.error(`Error publishing doc ${docId}: ${error.message}`);
+    throw error;
+  }
+}
+
+async function unpublishDocInCoda(docId) {
+  try {
+    await request({ method: 'delete', url: `/docs/${docId}/publish` });
+    logger.info(`Unpublished doc ${docId} in Coda`);
+    return true;
+  } catch (error) {
+    logger.error(`Error unpublishing doc ${docId}: ${error.message}`);
+    throw error;
+  }
+}
+
+async function fetchPermissionsFromCoda(docId) {
+  try {
+    return await fetchAllPages(`/docs/${docId}/acl/permissions`);
+  } catch (error) {
+    logger.error(`Error fetching permissions for doc ${docId}: ${error.message}`);
+    throw error;
+  }
+}
+
+async function addPermissionInCoda(docId, { access, principal }) {
+  try {
+    await request({
+      method: 'post',
+      url: `/docs/${docId}/acl/permissions`,
+      data: { access, principal, suppressEmail: true }
+    });
+    logger.info(`Granted ${access} on doc ${docId} to ${principal.type} ${principal.email || principal.domain || ''}`.trim());
+    return true;
+  } catch (error) {
+    logger.error(`Error adding permission on doc ${docId}: ${error.message}`);
+    throw error;
+  }
+}
+
+async function deletePermissionInCoda(docId, permissionId) {
+  try {
+    await request({ method: 'delete', url: `/docs/${docId}/acl/permissions/${permissionId}` });
+    logger.info(`Removed permission ${permissionId} from doc ${docId}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error removing permission ${permissionId} from doc ${docId}: ${error.message}`);
+    throw error;
+  }
+}
+
+async function deleteRowFromCoda(docId, tableId, rowId) {
+  try {
+    await request({ method: 'delete', url: `/docs/${docId}/tables/${tableId}/rows/${rowId}` });
+    logger.info(`Deleted row ${rowId} from Coda`);
+    return true;
+  } catch (error) {
+    logger.error(`Error deleting row ${rowId}: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  codaClient,
+  request,
+  fetchAllPages,
+  fetchDocumentsFromCoda,
+  fetchTablesFromCoda,
+  fetchRowsFromCoda,
+  fetchColumnsFromCoda,
+  fetchPagesFromCoda,
+  exportPageContent,
+  fetchFormulasFromCoda,
+  fetchControlsFromCoda,
+  fetchRowFromCoda,
+  updateRowCellInCoda,
+  fetchDocFromCoda,
+  publishDocInCoda,
+  unpublishDocInCoda,
+  fetchPermissionsFromCoda,
+  addPermissionInCoda,
+  deletePermissionInCoda,
+  deleteRowFromCoda
+};
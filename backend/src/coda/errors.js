@@ -0,0 +1,57 @@
+const CODA_ERROR_CODES = {
+  RATE_LIMITED: 'rate_limited',
+  SERVER_ERROR: 'server_error',
+  NETWORK_ERROR: 'network_error',
+  CLIENT_ERROR: 'client_error'
+};
+
+class CodaApiError extends Error {
+  constructor(message, { code, status, method, url, attempts } = {}) {
+    super(message);
+    this.name = 'CodaApiError';
+    this.code = code;
+    this.status = status;
+    this.method = method;
+    this.url = url;
+    this.attempts = attempts;
+  }
+
+  // Throttling, outages and network failures mean data was NOT inspected
+  get isTransient() {
+    return this.code !== CODA_ERROR_CODES.CLIENT_ERROR;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      status: this.status,
+      method: this.method,
+      url: this.url,
+      attempts: this.attempts,
+      error: this.message
+    };
+  }
+}
+
+function classifyError(error) {
+  const status = error.response?.status;
+  if (status === 429) return CODA_ERROR_CODES.RATE_LIMITED;
+  if (status >= 500) return CODA_ERROR_CODES.SERVER_ERROR;
+  if (!error.response) return CODA_ERROR_CODES.NETWORK_ERROR;
+  return CODA_ERROR_CODES.CLIENT_ERROR;
+}
+
+function toCodaApiError(error, attempts) {
+  if (error instanceof CodaApiError) return error;
+  const status = error.response?.status;
+  const message = error.response?.data?.message || error.message;
+  return new CodaApiError(message, {
+    code: classifyError(error),
+    status,
+    method: error.config?.method?.toUpperCase(),
+    url: error.config?.url,
+    attempts
+  });
+}
+
+module.exports = { CODA_ERROR_CODES, CodaApiError, classifyError, toCodaApiError };
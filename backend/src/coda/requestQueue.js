@@ -0,0 +1,53 @@
+// Minimal promise queue: runs at most `concurrency` tasks at once and can be
+// paused as a whole (e.g. when Coda answers 429 with a Retry-After).
+function createRequestQueue({ concurrency = 4 } = {}) {
+  const pending = [];
+  let active = 0;
+  let pausedUntil = 0;
+  let timer = null;
+
+  function drain() {
+    if (timer) return;
+
+    const wait = pausedUntil - Date.now();
+    if (wait > 0) {
+      timer = setTimeout(() => {
+        timer = null;
+        drain();
+      }, wait);
+      return;
+    }
+
+    while (active < concurrency && pending.length > 0) {
+      const { task, resolve, reject } = pending.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          drain();
+        });
+    }
+  }
+
+  return {
+    enqueue(task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject });
+        drain();
+      });
+    },
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+    get size() {
+      return pending.length;
+    },
+    get active() {
+      return active;
+    }
+  };
+}
+
+module.exports = { createRequestQueue };
@@ -0,0 +1,10 @@
+// Where the dashboard lives. FRONTEND_URL is only set when the frontend runs
+// somewhere other than the SPA served by this backend, e.g. the Vite dev
+// server on http://localhost:5173; unset means same origin.
+const FRONTEND_URL = (process.env.FRONTEND_URL || '').replace(/\/$/, '');
+
+// Absolute dashboard address for links that leave the app (Slack, email,
+// webhooks, reports): FRONTEND_URL, or else this backend itself
+const DASHBOARD_URL = FRONTEND_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+module.exports = { FRONTEND_URL, DASHBOARD_URL };
@@ -0,0 +1,71 @@
+const ALERT_TYPES = {
+  UNUSED_DOCUMENT: 'unused_document',
+  PUBLIC_DOCUMENT: 'public_document',
+  SENSITIVE_DATA_TABLE: 'sensitive_data_table',
+  SENSITIVE_DATA_PAGE: 'sensitive_data_page',
+  LINK_SHARING: 'link_sharing',
+  EXTERNAL_SHARING: 'external_sharing',
+  EXCESSIVE_EDITORS: 'excessive_editors'
+};
+
+// Alerts derived from a doc's ACL rather than its content
+const SHARING_ALERT_TYPES = [
+  ALERT_TYPES.LINK_SHARING,
+  ALERT_TYPES.EXTERNAL_SHARING,
+  ALERT_TYPES.EXCESSIVE_EDITORS
+];
+
+const ALERT_STATUS = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  IN_PROGRESS: 'in_progress',
+  REMEDIATED: 'remediated',
+  IGNORED: 'ignored',
+  RESOLVED: 'resolved'
+};
+
+// Statuses that are closed automatically once a scan no longer sees the finding
+const AUTO_RESOLVABLE_STATUSES = [ALERT_STATUS.OPEN, ALERT_STATUS.ACKNOWLEDGED, ALERT_STATUS.IN_PROGRESS];
+
+// Alert workflow: the statuses each status may move to. Closed alerts can
+// only be reopened; scans resolve unresolved alerts and reopen resolved ones.
+const ALERT_TRANSITIONS = {
+  [ALERT_STATUS.OPEN]: [
+    ALERT_STATUS.ACKNOWLEDGED,
+    ALERT_STATUS.IN_PROGRESS,
+    ALERT_STATUS.REMEDIATED,
+    ALERT_STATUS.IGNORED,
+    ALERT_STATUS.RESOLVED
+  ],
+  [ALERT_STATUS.ACKNOWLEDGED]: [
+    ALERT_STATUS.OPEN,
+    ALERT_STATUS.IN_PROGRESS,
+    ALERT_STATUS.REMEDIATED,
+    ALERT_STATUS.IGNORED,
+    ALERT_STATUS.RESOLVED
+  ],
+  [ALERT_STATUS.IN_PROGRESS]: [
+    ALERT_STATUS.OPEN,
+    ALERT_STATUS.REMEDIATED,
+    ALERT_STATUS.IGNORED,
+    ALERT_STATUS.RESOLVED
+  ],
+  [ALERT_STATUS.REMEDIATED]: [ALERT_STATUS.OPEN],
+  [ALERT_STATUS.IGNORED]: [ALERT_STATUS.OPEN],
+  [ALERT_STATUS.RESOLVED]: [ALERT_STATUS.OPEN]
+};
+
+const SEVERITY_RANK = { critical: 4, high: 3, medium: 2, low: 1 };
+
+// Fields /api/alerts can be sorted by
+const ALERT_SORT_FIELDS = ['severity', 'createdAt', 'updatedAt', 'dueAt', 'status', 'type', 'docName', 'title'];
+
+module.exports = {
+  ALERT_TYPES,
+  SHARING_ALERT_TYPES,
+  ALERT_STATUS,
+  AUTO_RESOLVABLE_STATUSES,
+  ALERT_TRANSITIONS,
+  SEVERITY_RANK,
+  ALERT_SORT_FIELDS
+};
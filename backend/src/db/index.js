@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+const migrations = require('./migrations');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const DATA_FILE = path.join(DATA_DIR, 'securecoda.json');
+// Changes are batched into one write per DB_SAVE_DELAY_MS rather than
+// rewriting the whole store on every mutation
+const SAVE_DELAY_MS = parseInt(process.env.DB_SAVE_DELAY_MS) || 1000;
+
+let state = null;
+let saveTimer = null;
+
+function runMigrations(current) {
+  const pending = migrations.filter(m => m.version > (current.schemaVersion || 0));
+  for (const migration of pending) {
+    logger.info(`Applying migration ${migration.version}: ${migration.description}`);
+    migration.up(current);
+    current.schemaVersion = migration.version;
+  }
+  return pending.length;
+}
+
+function load() {
+  if (state) return state;
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  if (fs.existsSync(DATA_FILE)) {
+    try {
+      state = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (error) {
+      logger.error(`Failed to read data file ${DATA_FILE}: ${error.message}`);
+      throw error;
+    }
+  } else {
+    state = { schemaVersion: 0 };
+  }
+
+  if (runMigrations(state) > 0 || !fs.existsSync(DATA_FILE)) {
+    flush();
+  }
+
+  logger.info(`Data store loaded from ${DATA_FILE} (schema v${state.schemaVersion})`);
+  return state;
+}
+
+// Marks the store changed; the write happens shortly after, together with
+// any other changes made in the meantime
+function save() {
+  if (!state || saveTimer) return;
+  saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+}
+
+// Writes pending changes now. Goes to a temp file and renames it so a crash
+// mid-write never corrupts the store.
+function flush() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  if (!state) return;
+  const tmpFile = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpFile, DATA_FILE);
+}
+
+function getState() {
+  return state || load();
+}
+
+function nextId(counter) {
+  const current = getState();
+  const id = current.counters[counter] || 1;
+  current.counters[counter] = id + 1;
+  return id;
+}
+
+module.exports = { load, save, flush, getState, nextId, DATA_DIR, DATA_FILE };
@@ -0,0 +1,68 @@
+// Ordered schema migrations for the file-backed store.
+// Each migration receives the raw state object and mutates it in place.
+// Never edit a released migration - append a new one instead.
+const crypto = require('crypto');
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Initial schema: alerts, scans and id counters',
+    up(state) {
+      state.alerts = state.alerts || [];
+      state.scans = state.scans || [];
+      state.counters = { alert: 1, scan: 1, ...state.counters };
+    }
+  },
+  {
+    version: 2,
+    description: 'Per-document and per-row change timestamps for incremental scans',
+    up(state) {
+      state.scanState = state.scanState || { docs: {} };
+    }
+  },
+  {
+    version: 3,
+    description: 'Users and login sessions',
+    up(state) {
+      state.users = state.users || [];
+      state.sessions = state.sessions || [];
+      state.counters = { user: 1, ...state.counters };
+    }
+  },
+  {
+    version: 4,
+    description: 'Append-only audit log of alert status changes',
+    up(state) {
+      state.auditLog = state.auditLog || [];
+      state.counters = { audit: 1, ...state.counters };
+    }
+  },
+  {
+    version: 5,
+    description: 'Suppression rules and the key used to hash detected values',
+    up(state) {
+      state.suppressions = state.suppressions || [];
+      state.counters = { suppression: 1, ...state.counters };
+      state.settings = { valueHashKey: crypto.randomBytes(32).toString('hex'), ...state.settings };
+    }
+  },
+  {
+    version: 6,
+    description: 'Alert comments, and severity SLA due dates for unresolved alerts',
+    up(state) {
+      // The SLA defaults as of this version, copied here so later changes to
+      // slaService (or ALERT_SLA_DAYS) cannot change what this migration does
+      const slaDays = { critical: 3, high: 14, medium: 30, low: 90 };
+      const dayMs = 24 * 60 * 60 * 1000;
+      state.counters = { comment: 1, ...state.counters };
+      for (const alert of state.alerts) {
+        if (alert.dueAt === undefined && ['open', 'acknowledged'].includes(alert.status)) {
+          const days = slaDays[alert.severity];
+          alert.dueAt = days ? new Date(new Date(alert.createdAt).getTime() + days * dayMs).toISOString() : null;
+        }
+      }
+    }
+  }
+];
+
+module.exports = migrations;
@@ -4,178 +4,422 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const cron = require('node-cron');
-const axios = require('axios');
 const logger = require('./config/logger');
+const db = require('./db');
+const alertRepository = require('./repositories/alertRepository');
+const scanRepository = require('./repositories/scanRepository');
+const scanStateRepository = require('./repositories/scanStateRepository');
+const auditRepository = require('./repositories/auditRepository');
+const suppressionRepository = require('./repositories/suppressionRepository');
+const userRepository = require('./repositories/userRepository');
+const {
+  fetchDocumentsFromCoda,
+  fetchTablesFromCoda,
+  fetchRowsFromCoda,
+  fetchColumnsFromCoda,
+  fetchPagesFromCoda,
+  exportPageContent,
+  fetchFormulasFromCoda,
+  fetchControlsFromCoda,
+  fetchPermissionsFromCoda
+} = require('./coda/client');
+const { CODA_ERROR_CODES } = require('./coda/errors');
+const ruleStore = require('./scanner/ruleStore');
+const { scanText } = require('./scanner/scanText');
+const rulesRouter = require('./routes/rules');
+const authRouter = require('./routes/auth');
+const usersRouter = require('./routes/users');
+const auditRouter = require('./routes/audit');
+const suppressionsRouter = require('./routes/suppressions');
+const scansRouter = require('./routes/scans');
+const eventsRouter = require('./routes/events');
+const reportsRouter = require('./routes/reports');
+const ownersRouter = require('./routes/owners');
+const { authenticate, requireRole } = require('./auth/middleware');
+const { hasRole } = require('./auth/roles');
+const { ensureBootstrapAdmin } = require('./services/userService');
+const notifier = require('./notifiers');
+const {
+  ALERT_TYPES,
+  SHARING_ALERT_TYPES,
+  ALERT_STATUS,
+  AUTO_RESOLVABLE_STATUSES,
+  ALERT_SORT_FIELDS
+} = require('./constants/alerts');
+const { evaluateSharing } = require('./scanner/sharing');
+const { BULK_ACTIONS, REMEDIATION_ACTIONS, availableActions, remediateAlert, remediateAlerts } = require('./services/remediationService');
+const { dueDateFor } = require('./services/slaService');
+const { startScan } = require('./services/scanJobService');
+const { EXPORT_FORMATS, exportAlerts } = require('./services/exportService');
+const eventService = require('./services/eventService');
+const { scheduleReports } = require('./reports');
+const { TREND_INTERVALS, buildTrends } = require('./reports/trends');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Only the listed origins may call the API from a browser
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173')
+  .split(',').map(o => o.trim()).filter(Boolean);
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS }));
 app.use(express.json());
 
 app.use(express.static(path.join(__dirname, '../public')));
 
 
+let documents = []; // Stores Coda documents fetched from the API  
+
 // ============================================
-// CONFIGURATION
+// HELPER FUNCTIONS
 // ============================================
 
-const CODA_API_TOKEN = process.env.CODA_API_TOKEN;
-const CODA_BASE_URL = 'https://coda.io/apis/v1';
+// Returns { alert, suppression, created }; `created` is true only when a new
+// open alert was stored. A finding covered by a suppression rule is recorded
+// as ignored (or not at all in `skip` mode) and never notified.
+function createAlert(alertData) {
+  // Triaged and ignored findings must not be re-raised on the next scan;
+  // a resolved finding that shows up again reopens its original alert
+  const existing = alertRepository.findMatch(alertData, [
+    ALERT_STATUS.OPEN,
+    ALERT_STATUS.ACKNOWLEDGED,
+    ALERT_STATUS.IN_PROGRESS,
+    ALERT_STATUS.IGNORED,
+    ALERT_STATUS.RESOLVED
+  ]);
+
+  // A sharing alert's principals describe the ACL as last scanned
+  if (existing && SHARING_ALERT_TYPES.includes(alertData.type)) {
+    alertRepository.refreshFinding(existing.id, alertData);
+  }
+  // Row alerts raised before column names were resolved carry the column id
+  // as their name
+  const { columnId, columnName } = alertData.metadata || {};
+  if (existing && columnId && existing.metadata?.columnName !== columnName) {
+    alertRepository.refreshFinding(existing.id, { description: alertData.description, metadata: { columnId, columnName } });
+  }
+
+  // Alerts that already exist keep their status; creating a suppression
+  // is what ignores them (see suppressionService.applyToExisting)
+  if (existing && existing.status !== ALERT_STATUS.RESOLVED) return { alert: existing, suppression: null, created: false };
 
+  const suppression = suppressionRepository.findMatch(alertData);
+  if (suppression) suppressionRepository.recordMatch(suppression.id);
 
+  if (existing) {
+    if (suppression) return { alert: existing, suppression, created: false };
 
-const codaClient = axios.create({
-  baseURL: CODA_BASE_URL,
-  headers: {
-    'Authorization': `Bearer ${CODA_API_TOKEN}`,
-    'Content-Type': 'application/json'
+    logger.info(`Alert reopened: ${existing.title}`);
+    auditRepository.record({
+      action: 'auto_reopen',
+      alert: existing,
+      previousStatus: existing.status,
+      newStatus: ALERT_STATUS.OPEN
+    });
+    return {
+      alert: alertRepository.updateStatus(existing.id, ALERT_STATUS.OPEN, {
+        resolvedAt: null,
+        dueAt: dueDateFor(existing.severity)
+      }),
+      suppression: null,
+      created: false
+    };
   }
-});
 
-// Coda API functions
-async function fetchDocumentsFromCoda() {
-  try {
-    const response = await codaClient.get('/docs', { params: { limit: 50 } });
-    logger.info(`Fetched ${response.data.items.length} documents from Coda`);
-    return response.data.items;
-  } catch (error) {
-    const status = error.response?.status;
-    const errorMsg = error.response?.data?.message || error.message;
-    logger.error(`Error fetching documents from Coda: ${status} - ${errorMsg}`);
-    throw error;
+  if (suppression?.mode === 'skip') return { alert: null, suppression, created: false };
+
+  if (suppression) {
+    const alert = alertRepository.create({ ...alertData, status: ALERT_STATUS.IGNORED, suppressedBy: suppression.id });
+    logger.info(`Alert created as ignored (suppression ${suppression.id}): ${alert.title}`);
+    return { alert, suppression, created: false };
   }
+
+  const alert = alertRepository.create({ ...alertData, status: ALERT_STATUS.OPEN, dueAt: dueDateFor(alertData.severity) });
+  logger.info(`Alert created: ${alert.title}`);
+  notifier.alertCreated(alert);
+  return { alert, suppression: null, created: true };
 }
 
-async function fetchTablesFromCoda(docId) {
-  try {
-    const response = await codaClient.get(`/docs/${docId}/tables`);
-    return response.data.items || [];
-  } catch (error) {
-    logger.error(`Error fetching tables for doc ${docId}:`, error.message);
-    return [];
+// Keeps throttling / outages distinguishable from permission or config errors
+function recordScanError(scanResults, error, context) {
+  const details = typeof error.toJSON === 'function'
+    ? error.toJSON()
+    : { code: 'unknown', error: error.message };
+  scanResults.errors.push({ ...context, ...details });
+  if (details.code === CODA_ERROR_CODES.RATE_LIMITED) scanResults.rateLimited = true;
+}
+
+// Whether this scan actually inspected the alert's resource. Skipped
+// (unchanged) docs/rows and anything that failed to load are out of coverage,
+// so their alerts are left alone rather than resolved on missing evidence.
+function isCoveredByScan(alert, coverage) {
+  const { docId, resourceId, resourceType } = alert;
+  if (!coverage.docsListed.has(docId)) return true; // doc was deleted
+  if (SHARING_ALERT_TYPES.includes(alert.type)) return !coverage.uncovered.has(`${docId}/acl`);
+  if (resourceType === 'document') return true;
+  if (!coverage.docsInspected.has(docId)) return false;
+
+  const { uncovered } = coverage;
+  switch (resourceType) {
+    case 'row': {
+      const tableId = alert.metadata?.tableId;
+      if (uncovered.has(`${docId}/tables`) || uncovered.has(`${docId}/table/${tableId}`)) return false;
+      return !coverage.rowsSkipped.has(`${docId}/${tableId}/${resourceId}`);
+    }
+    case 'page':
+      return !uncovered.has(`${docId}/pages`) && !uncovered.has(`${docId}/page/${resourceId}`);
+    case 'formula':
+      return !uncovered.has(`${docId}/formulas`);
+    case 'control':
+      return !uncovered.has(`${docId}/controls`);
+    default:
+      return false;
   }
 }
 
-async function fetchRowsFromCoda(docId, tableId) {
-  try {
-    const response = await codaClient.get(`/docs/${docId}/tables/${tableId}/rows`, {
-      params: { limit: 100 }
+function resolveUnobservedAlerts(observed, coverage) {
+  let resolved = 0;
+  for (const alert of alertRepository.findByStatus(AUTO_RESOLVABLE_STATUSES)) {
+    if (observed.has(alertRepository.findingKey(alert))) continue;
+    if (!isCoveredByScan(alert, coverage)) continue;
+
+    auditRepository.record({
+      action: 'auto_resolve',
+      alert,
+      previousStatus: alert.status,
+      newStatus: ALERT_STATUS.RESOLVED
     });
-    return response.data.items || [];
-  } catch (error) {
-    logger.error(`Error fetching rows for table ${tableId}:`, error.message);
-    return [];
+    alertRepository.updateStatus(alert.id, ALERT_STATUS.RESOLVED, { resolvedAt: new Date().toISOString() });
+    logger.info(`Alert resolved (finding no longer present): ${alert.title}`);
+    resolved++;
   }
+  return resolved;
 }
 
-async function deleteRowFromCoda(docId, tableId, rowId) {
-  try {
-    await codaClient.delete(`/docs/${docId}/tables/${tableId}/rows/${rowId}`);
-    logger.info(`Deleted row ${rowId} from Coda`);
+// ============================================
+// SECURITY SCANNER
+// ============================================
+
+// Canvas page exports are slow on big workspaces; allow turning them off
+const SCAN_PAGE_CONTENT = process.env.SCAN_PAGE_CONTENT !== 'false';
+
+function buildPageAlert(doc, finding, { resourceId, resourceType, page, location }) {
+  return {
+    type: ALERT_TYPES.SENSITIVE_DATA_PAGE,
+    severity: finding.severity,
+    title: `${finding.name} found in: ${page?.name || doc.name}`,
+    description: `Detected ${finding.count} instance(s) in ${location}`,
+    docId: doc.id,
+    docName: doc.name,
+    resourceId,
+    resourceType,
+    metadata: {
+      pageId: page?.id,
+      pageName: page?.name,
+      pageLink: page?.browserLink,
+      sensitiveType: finding.type,
+      confidence: finding.confidence,
+      valueHashes: finding.valueHashes
+    }
+  };
+}
+
+// Scans canvas pages, formulas and controls of a doc. Returns false when any
+// of them could not be read, so the doc is retried on the next scan.
+async function scanDocContent(doc, { raiseAlert, scanResults, coverage }) {
+  if (!SCAN_PAGE_CONTENT) {
+    for (const kind of ['pages', 'formulas', 'controls']) coverage.uncovered.add(`${doc.id}/${kind}`);
     return true;
+  }
+
+  let complete = true;
+  let pages = [];
+  try {
+    pages = await fetchPagesFromCoda(doc.id);
   } catch (error) {
-    logger.error(`Error deleting row ${rowId}:`, error.message);
-    throw error;
+    recordScanError(scanResults, error, { docId: doc.id, stage: 'pages' });
+    coverage.uncovered.add(`${doc.id}/pages`);
+    complete = false;
+  }
+
+  for (const page of pages) {
+    // Embeds and sync pages have no exportable canvas
+    if (page.contentType && page.contentType !== 'canvas') continue;
+
+    let content;
+    try {
+      content = await exportPageContent(doc.id, page.id);
+    } catch (error) {
+      recordScanError(scanResults, error, { docId: doc.id, pageId: page.id, stage: 'page' });
+      coverage.uncovered.add(`${doc.id}/page/${page.id}`);
+      complete = false;
+      continue;
+    }
+
+    scanResults.pagesScanned++;
+    for (const finding of scanText(content)) {
+      raiseAlert(buildPageAlert(doc, finding, {
+        resourceId: page.id,
+        resourceType: 'page',
+        page,
+        location: `page "${page.name}"`
+      }));
+    }
+  }
+
+  const pagesById = new Map(pages.map(page => [page.id, page]));
+  const namedValueSources = [
+    { kind: 'formulas', resourceType: 'formula', counter: 'formulasScanned', fetch: fetchFormulasFromCoda },
+    { kind: 'controls', resourceType: 'control', counter: 'controlsScanned', fetch: fetchControlsFromCoda }
+  ];
+
+  for (const { kind, resourceType, counter, fetch } of namedValueSources) {
+    let items;
+    try {
+      items = await fetch(doc.id);
+    } catch (error) {
+      recordScanError(scanResults, error, { docId: doc.id, stage: kind });
+      coverage.uncovered.add(`${doc.id}/${kind}`);
+      complete = false;
+      continue;
+    }
+
+    for (const item of items) {
+      scanResults[counter]++;
+      const value = typeof item.value === 'string' ? item.value : JSON.stringify(item.value ?? '');
+      const page = pagesById.get(item.parent?.id) || item.parent;
+      for (const finding of scanText(value)) {
+        raiseAlert(buildPageAlert(doc, finding, {
+          resourceId: item.id,
+          resourceType,
+          page,
+          location: `${resourceType} "${item.name}"`
+        }));
+      }
+    }
   }
+
+  return complete;
 }
 
-let documents = []; // Stores Coda documents fetched from the API  
-let alerts = [];// Stores security alerts generated by scans  -  Populated by: createAlert()
-let alertIdCounter = 1;  // Generates unique IDs for each alert
-
-const ALERT_TYPES = {
-  UNUSED_DOCUMENT: 'unused_document',
-  PUBLIC_DOCUMENT: 'public_document',
-  SENSITIVE_DATA_TABLE: 'sensitive_data_table'
-};
-
-const ALERT_STATUS = {
-  OPEN: 'open',
-  ACKNOWLEDGED: 'acknowledged',
-  REMEDIATED: 'remediated',
-  IGNORED: 'ignored'
-};
-
-// Sensitive data patterns
-const SENSITIVE_PATTERNS = {
-  creditCard: { pattern: /\b(?:\d{4}[-\s]?){3}\d{4}\b/g, name: 'Credit Card Number', severity: 'high' },
-  // ssn: { pattern: /\b\d{3}[-\s]?\d{2}[-\s]?\d{4}\b/g, name: 'Social Security Number', severity: 'high' },
-  email: { pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g, name: 'Email Address', severity: 'medium' },
-  phone: { pattern: /\b(?:\+?1[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}\b/g, name: 'Phone Number', severity: 'medium' },
-  password: { pattern: /\b(?:password|passwd|pwd)\s*[:=]\s*\S+/gi, name: 'Password', severity: 'critical' },
-  apiKey: { pattern: /\b(?:api[_-]?key|apikey|api[_-]?token|access[_-]?token|secret[_-]?key)\s*[:=]\s*['"]?[A-Za-z0-9_\-]{10,}['"]?/gi, name: 'API Key/Token', severity: 'critical' },
-  awsKey: { pattern: /\bAKIA[0-9A-Z]{16}\b/g, name: 'AWS Access Key', severity: 'critical' },
-  privateKey: { pattern: /-----BEGIN\s+(?:RSA\s+)?PRIVATE\s+KEY-----/g, name: 'Private Key', severity: 'critical' }
-};
+// Rows are keyed by column id; rules, suppressions and people go by the
+// column names shown in Coda
+async function fetchColumnNames(docId, tableId) {
+  const columns = await fetchColumnsFromCoda(docId, tableId);
+  return new Map(columns.map(column => [column.id, column.name]));
+}
 
-// ============================================
-// HELPER FUNCTIONS
-// ============================================
+function docOwnerFields(doc) {
+  return { owner: doc.owner || null, ownerName: doc.ownerName || null };
+}
 
-function createAlert(alertData) {
-  const existing = alerts.find(a =>
-    a.type === alertData.type &&
-    a.docId === alertData.docId &&
-    a.resourceId === alertData.resourceId &&
-    a.status === ALERT_STATUS.OPEN
-  );
-
-  if (existing) return existing;
-
-  const alert = {
-    id: alertIdCounter++,
-    ...alertData,
-    status: ALERT_STATUS.OPEN,
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  };
+// The Coda API does not say who created a row, but many tables keep it in a
+// "Created by" column. `columnNames` maps the column ids values are keyed by
+// to their names.
+const CREATOR_COLUMN_PATTERN = /^(created by|creator)$/i;
 
-  alerts.push(alert);
-  logger.info(`Alert created: ${alert.title}`);
-  return alert;
+function rowCreator(values, columnNames) {
+  const column = Object.keys(values).find(id => CREATOR_COLUMN_PATTERN.test((columnNames.get(id) || id).trim()));
+  const creator = column ? values[column] : null;
+  return typeof creator === 'string' && creator.trim() ? creator.trim() : null;
 }
 
-function scanText(text) {
-  const findings = [];
-  if (!text || typeof text !== 'string') return findings;
-
-  for (const [type, config] of Object.entries(SENSITIVE_PATTERNS)) {
-    const matches = text.match(config.pattern);
-    if (matches) {
-      findings.push({
-        type,
-        name: config.name,
-        severity: config.severity,
-        count: matches.length,
-        samples: matches.slice(0, 2).map(m => m.slice(0, 4) + '****' + m.slice(-2))
-      });
-    }
-  }
-  return findings;
+// Scan progress is pushed to dashboards at most this often; start and
+// finish are always sent
+const SCAN_PROGRESS_INTERVAL_MS = 500;
+
+function createProgressReporter(scan) {
+  let lastSentAt = 0;
+  return (force = false) => {
+    const now = Date.now();
+    if (!force && now - lastSentAt < SCAN_PROGRESS_INTERVAL_MS) return;
+    lastSentAt = now;
+    eventService.publish('scan-progress', scanRepository.summarize(scan));
+  };
 }
 
-// ============================================
-// SECURITY SCANNER
-// ============================================
+function finishScanRecord(scan, changes) {
+  const completedAt = new Date().toISOString();
+  scanRepository.update(scan.id, {
+    ...changes,
+    currentDoc: null,
+    completedAt,
+    durationMs: Date.parse(completedAt) - Date.parse(scan.startedAt)
+  });
+  // Everything the scan changed is on disk once it reports completion
+  db.flush();
+  eventService.publish('scan-progress', scanRepository.summarize(scan));
+  return completedAt;
+}
 
-async function runSecurityScan() {
-  logger.info(`Starting security scan (mode: 'LIVE'})...`);
-  const scanResults = { documentsScanned: 0, alertsCreated: 0, errors: [] };
+// Incremental by default: docs whose updatedAt has not moved since the last
+// successful scan are skipped, as are rows whose updatedAt has not moved.
+// Pass { full: true } to ignore the stored state and rescan everything.
+// `scan` is the stored scan record (see scanJobService); its counters are
+// updated in place so GET /api/scans/:id reports progress while it runs.
+async function runSecurityScan({ full = false, scan }) {
+  const mode = full ? 'full' : 'incremental';
+  logger.info(`Starting security scan ${scan.id} (mode: ${mode})...`);
+  const scanResults = Object.assign(scan, {
+    documentsTotal: null,
+    currentDoc: null,
+    documentsScanned: 0,
+    documentsSkipped: 0,
+    rowsScanned: 0,
+    rowsSkipped: 0,
+    tablesScanned: 0,
+    pagesScanned: 0,
+    formulasScanned: 0,
+    controlsScanned: 0,
+    alertsCreated: 0,
+    alertsResolved: 0,
+    alertsSuppressed: 0,
+    errors: []
+  });
+  const reportProgress = createProgressReporter(scanResults);
+  reportProgress(true);
+  const observed = new Set();
+  const coverage = {
+    docsListed: new Set(),
+    docsInspected: new Set(),
+    uncovered: new Set(),
+    rowsSkipped: new Set()
+  };
+  notifier.startScan();
+  const docOwners = new Map();
+  const raiseAlert = (alertData) => {
+    observed.add(alertRepository.findingKey(alertData));
+    const owner = docOwners.get(alertData.docId);
+    const { suppression, created } = createAlert(owner
+      ? { ...alertData, metadata: { ...alertData.metadata, ...owner } }
+      : alertData);
+    // Findings already on record (or reopened) are not new alerts
+    if (suppression) scanResults.alertsSuppressed++;
+    else if (created) scanResults.alertsCreated++;
+  };
   const TEN_MINUTES_MS = 10 * 60 * 1000; 
   const now = new Date();
 
   try {
       documents = await fetchDocumentsFromCoda();
+    scanResults.documentsTotal = documents.length;
 
     for (const doc of documents) {
     scanResults.documentsScanned++;
+    scanResults.currentDoc = { id: doc.id, name: doc.name };
+    reportProgress();
+    coverage.docsListed.add(doc.id);
+
+    // Every alert on the doc carries its owner, so findings can be routed
+    const owner = docOwnerFields(doc);
+    docOwners.set(doc.id, owner);
+    alertRepository.syncDocOwner(doc.id, owner);
 
     const updatedAt = new Date(doc.updatedAt).getTime();
     const  daysSinceUpdate= now - updatedAt
       if (daysSinceUpdate >= TEN_MINUTES_MS) {
-        createAlert({
+        raiseAlert({
           type: ALERT_TYPES.UNUSED_DOCUMENT,
           severity: 'low',
           title: `Unused Document: ${doc.name}`,
@@ -186,12 +430,11 @@ async function runSecurityScan() {
           resourceType: 'document',
           metadata: { lastUpdated: doc.updatedAt, daysSinceUpdate }
         });
-        scanResults.alertsCreated++;
       }
 
       // Check for public documents
       if (doc.published) {
-        createAlert({
+        raiseAlert({
           type: ALERT_TYPES.PUBLIC_DOCUMENT,
           severity: 'high',
           title: `Publicly Published: ${doc.name}`,
@@ -202,48 +445,125 @@ async function runSecurityScan() {
           resourceType: 'document',
           metadata: { publishedUrl: doc.browserLink }
         });
-        scanResults.alertsCreated++;
       }
 
-      // Scan tables
+      // Sharing changes do not bump doc.updatedAt, so the ACL is checked on
+      // every scan, including incremental ones
+      try {
+        const permissions = await fetchPermissionsFromCoda(doc.id);
+        for (const alertData of evaluateSharing(doc, permissions)) raiseAlert(alertData);
+      } catch (error) {
+        recordScanError(scanResults, error, { docId: doc.id, stage: 'acl' });
+        coverage.uncovered.add(`${doc.id}/acl`);
+      }
+
+      const previous = full ? null : scanStateRepository.getDoc(doc.id);
+      if (previous && previous.updatedAt === doc.updatedAt) {
+        scanResults.documentsSkipped++;
+        continue;
+      }
+
+      coverage.docsInspected.add(doc.id);
+      let docComplete = true;
+
+      // Scan tables - a table or doc that could not be read is reported as an
+      // error, never silently treated as clean
+      let tables = [];
       try {
-        let tables;
         tables = await fetchTablesFromCoda(doc.id);
+      } catch (error) {
+        recordScanError(scanResults, error, { docId: doc.id, stage: 'tables' });
+        coverage.uncovered.add(`${doc.id}/tables`);
+        docComplete = false;
+      }
+
+      // Keep what we knew if the table list failed, so unchanged rows stay
+      // skippable next time
+      const tableState = docComplete ? {} : { ...previous?.tables };
 
-        for (const table of tables) {
-          let rows;
-            rows = await fetchRowsFromCoda(doc.id, table.id);
-
-          for (const row of rows) {
-            const values = row.values || {};
-            for (const [colName, value] of Object.entries(values)) {
-              const findings = scanText(String(value));
-              for (const finding of findings) {
-                createAlert({
-                  type: ALERT_TYPES.SENSITIVE_DATA_TABLE,
-                  severity: finding.severity,
-                  title: `${finding.name} found in: ${table.name}`,
-                  description: `Detected ${finding.count} instance(s) in column "${colName}"`,
-                  docId: doc.id,
-                  docName: doc.name,
-                  resourceId: row.id,
-                  resourceType: 'row',
-                  metadata: { tableId: table.id, tableName: table.name, columnName: colName, sensitiveType: finding.type }
-                });
-                scanResults.alertsCreated++;
-              }
+      for (const table of tables) {
+        let rows;
+        let columnNames;
+        try {
+          columnNames = await fetchColumnNames(doc.id, table.id);
+          rows = await fetchRowsFromCoda(doc.id, table.id);
+        } catch (error) {
+          recordScanError(scanResults, error, { docId: doc.id, tableId: table.id, stage: columnNames ? 'rows' : 'columns' });
+          coverage.uncovered.add(`${doc.id}/table/${table.id}`);
+          tableState[table.id] = previous?.tables?.[table.id] || {};
+          docComplete = false;
+          continue;
+        }
+
+        const previousRows = previous?.tables?.[table.id] || {};
+        tableState[table.id] = {};
+        scanResults.tablesScanned++;
+        reportProgress();
+
+        for (const row of rows) {
+          tableState[table.id][row.id] = row.updatedAt;
+          if (previousRows[row.id] && previousRows[row.id] === row.updatedAt) {
+            scanResults.rowsSkipped++;
+            coverage.rowsSkipped.add(`${doc.id}/${table.id}/${row.id}`);
+            continue;
+          }
+          scanResults.rowsScanned++;
+
+          const values = row.values || {};
+          const creator = rowCreator(values, columnNames);
+          for (const [columnId, value] of Object.entries(values)) {
+            const columnName = columnNames.get(columnId) || columnId;
+            const findings = scanText(String(value), { columnName });
+            for (const finding of findings) {
+              raiseAlert({
+                type: ALERT_TYPES.SENSITIVE_DATA_TABLE,
+                severity: finding.severity,
+                title: `${finding.name} found in: ${table.name}`,
+                description: `Detected ${finding.count} instance(s) in column "${columnName}"`,
+                docId: doc.id,
+                docName: doc.name,
+                resourceId: row.id,
+                resourceType: 'row',
+                metadata: {
+                  tableId: table.id,
+                  tableName: table.name,
+                  columnId,
+                  columnName,
+                  sensitiveType: finding.type,
+                  confidence: finding.confidence,
+                  valueHashes: finding.valueHashes,
+                  ...(creator && { rowCreator: creator })
+                }
+              });
             }
           }
         }
-      } catch (error) {
-        scanResults.errors.push({ docId: doc.id, error: error.message });
       }
+
+      if (!(await scanDocContent(doc, { raiseAlert, scanResults, coverage }))) {
+        docComplete = false;
+      }
+
+      // A doc with unreadable content keeps a null updatedAt so it is retried
+      scanStateRepository.saveDoc(doc.id, {
+        updatedAt: docComplete ? doc.updatedAt : null,
+        tables: tableState
+      });
     }
 
-    logger.info(`Scan complete: ${scanResults.documentsScanned} docs, ${scanResults.alertsCreated} new alerts`);
+    scanStateRepository.prune(documents.map(doc => doc.id));
+    scanResults.alertsResolved = resolveUnobservedAlerts(observed, coverage);
+
+    logger.info(`Scan complete (${mode}): ${scanResults.documentsScanned} docs (${scanResults.documentsSkipped} unchanged), ${scanResults.rowsScanned} rows (${scanResults.rowsSkipped} unchanged), ${scanResults.pagesScanned} pages, ${scanResults.alertsCreated} new alerts, ${scanResults.alertsSuppressed} suppressed, ${scanResults.alertsResolved} resolved, ${scanResults.errors.length} errors`);
+    const status = scanResults.errors.length > 0 ? 'completed_with_errors' : 'completed';
+    const completedAt = finishScanRecord(scanResults, { status });
+    notifier.finishScan({ mode, status, startedAt: scanResults.startedAt, completedAt });
     return scanResults;
   } catch (error) {
     logger.error('Scan failed:', error.message);
+    const completedAt = finishScanRecord(scanResults, { status: 'failed', error: error.message });
+    // Alerts raised before the failure still go out
+    notifier.finishScan({ mode, status: 'failed', startedAt: scanResults.startedAt, completedAt });
     throw error;
   }
 }
@@ -252,6 +572,10 @@ async function runSecurityScan() {
 // API ROUTES
 // ============================================
 
+// Login, logout and OIDC callbacks are reachable without a session;
+// everything else under /api needs one
+app.use('/api/auth', authRouter);
+app.use('/api', authenticate);
 
 // Documents Pagination - used
 app.get('/api/documents', async (req, res) => {
@@ -278,16 +602,60 @@ app.get('/api/documents', async (req, res) => {
 });
 
 
+// Comma-separated multi-value filter, e.g. ?status=open,acknowledged
+function listParam(value) {
+  if (!value) return undefined;
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  return values.length > 0 ? values : undefined;
+}
+
+// Filters shared by the alert list and bulk actions: status, severity, type
+// (comma lists), docId, owner (doc owner email, or "none"), assignee
+// (username, or "none"), since, until and q (search in title / doc name /
+// owner).
+// Returns { error } when a value is unusable.
+function parseAlertFilters({ status, severity, type, docId, owner, assignee, since, until, q } = {}) {
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      return { error: `${name} must be an ISO date` };
+    }
+  }
+  return {
+    filters: {
+      statuses: listParam(status),
+      severities: listParam(severity),
+      types: listParam(type),
+      docId,
+      owner: owner ? String(owner).trim() : undefined,
+      assignee: assignee ? String(assignee).trim() : undefined,
+      since,
+      until,
+      search: q ? String(q).trim() : undefined
+    }
+  };
+}
+
+// Sorting shared by the alert list and export: sortBy, sortDir=asc|desc
+function parseAlertSort({ sortBy = 'severity', sortDir = 'desc' } = {}) {
+  if (!ALERT_SORT_FIELDS.includes(sortBy)) {
+    return { error: `sortBy must be one of: ${ALERT_SORT_FIELDS.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(sortDir)) {
+    return { error: 'sortDir must be asc or desc' };
+  }
+  return { sort: { sortBy, sortDir } };
+}
+
 // Alerts endpoints -  used 
 app.get('/api/alerts', (req, res) => {
   const { page = 1, limit = 10 } = req.query;
 
-  const sorted = [...alerts].sort((a, b) => {
-    const severityOrder = { critical: 4, high: 3, medium: 2, low: 1 };
-    const severityDiff = (severityOrder[b.severity] || 0) - (severityOrder[a.severity] || 0);
-    if (severityDiff !== 0) return severityDiff;
-    return new Date(b.createdAt) - new Date(a.createdAt);
-  });
+  const { sort, error: sortError } = parseAlertSort(req.query);
+  if (sortError) return res.status(400).json({ error: sortError });
+  const { filters, error } = parseAlertFilters(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const sorted = alertRepository.query(filters, sort);
 
   const total = sorted.length;
   const start = (parseInt(page) - 1) * parseInt(limit);
@@ -298,74 +666,242 @@ app.get('/api/alerts', (req, res) => {
     pagination: { page: parseInt(page), limit: parseInt(limit), total, totalPages: Math.ceil(total / limit) }
   });
 });
+// Download of every alert matching the list filters (no paging):
+// format=csv|json|sarif
+app.get('/api/alerts/export', (req, res) => {
+  const { format = 'csv' } = req.query;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+  const { sort, error: sortError } = parseAlertSort(req.query);
+  if (sortError) return res.status(400).json({ error: sortError });
+  const { filters, error } = parseAlertFilters(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const alerts = alertRepository.query(filters, sort);
+  const { body, contentType, filename } = exportAlerts(alerts, format, filters);
+  logger.info(`${req.user.username} exported ${alerts.length} alert(s) as ${format}`);
+  res.set('Content-Type', contentType);
+  res.attachment(filename);
+  res.send(body);
+});
+
+// Time-bucketed created / remediated / open counts: interval=day|week,
+// since, until, plus the severity, type, docId and q list filters. Status
+// filters do not apply, since status changes over time is what is counted.
+app.get('/api/alerts/trends', (req, res) => {
+  const { interval = 'day' } = req.query;
+  if (!TREND_INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `interval must be one of: ${TREND_INTERVALS.join(', ')}` });
+  }
+  const { filters, error } = parseAlertFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  if (filters.since && filters.until && new Date(filters.since) > new Date(filters.until)) {
+    return res.status(400).json({ error: 'since must be before until' });
+  }
+
+  const { since, until, statuses, ...alertFilters } = filters;
+  const alerts = alertRepository.query(alertFilters);
+  res.json(buildTrends(alerts, { interval, since, until }));
+});
+
 // -Used 
 app.get('/api/alerts/stats', (req, res) => {
-  const stats = { total: alerts.length, byStatus: {}, byType: {}, bySeverity: {} };
-  for (const alert of alerts) {
-    stats.byStatus[alert.status] = (stats.byStatus[alert.status] || 0) + 1;
-    stats.byType[alert.type] = (stats.byType[alert.type] || 0) + 1;
-    stats.bySeverity[alert.severity] = (stats.bySeverity[alert.severity] || 0) + 1;
+  res.json(alertRepository.getStats());
+});
+
+
+// Users alerts can be assigned to: enabled analysts and admins
+function isAssignable(user) {
+  return Boolean(user) && !user.disabled && hasRole(user, 'analyst');
+}
+
+app.get('/api/alerts/assignees', (req, res) => {
+  const items = userRepository.all()
+    .filter(isAssignable)
+    .map(({ id, username, displayName, role }) => ({ id, username, displayName, role }))
+    .sort((a, b) => a.username.localeCompare(b.username));
+  res.json({ items });
+});
+
+// A single alert with the workflow actions currently allowed on it
+app.get('/api/alerts/:id', (req, res) => {
+  const alert = alertRepository.findById(parseInt(req.params.id));
+  if (!alert) return res.status(404).json({ error: 'Alert not found' });
+
+  const actions = availableActions(alert)
+    .filter(action => action !== 'delete' || hasRole(req.user, 'admin'));
+  res.json({ ...alert, availableActions: hasRole(req.user, 'analyst') ? actions : [] });
+});
+
+// { userId } assigns the alert, { userId: null } unassigns it
+app.post('/api/alerts/:id/assign', requireRole('analyst'), (req, res) => {
+  const alert = alertRepository.findById(parseInt(req.params.id));
+  if (!alert) return res.status(404).json({ error: 'Alert not found' });
+
+  const { userId } = req.body || {};
+  if (userId !== null && !Number.isInteger(userId)) {
+    return res.status(400).json({ error: 'userId must be a user id or null' });
   }
-  res.json(stats);
+  const assignee = userId === null ? null : userRepository.findById(userId);
+  if (userId !== null && !isAssignable(assignee)) {
+    return res.status(400).json({ error: 'Alerts can only be assigned to enabled analysts and admins' });
+  }
+
+  const previous = alert.assignee?.username || null;
+  const updated = alertRepository.update(alert.id, {
+    assignee: assignee && { id: assignee.id, username: assignee.username, displayName: assignee.displayName },
+    assignedAt: assignee ? new Date().toISOString() : null,
+    assignedBy: assignee ? req.user.username : null
+  });
+  const message = assignee
+    ? `Assigned to ${assignee.username}${previous ? ` (was ${previous})` : ''}`
+    : `Unassigned${previous ? ` from ${previous}` : ''}`;
+
+  logger.info(`Alert ${alert.id}: ${message} by ${req.user.username}`);
+  auditRepository.record({
+    actor: req.user,
+    action: assignee ? 'assign' : 'unassign',
+    alert,
+    previousStatus: alert.status,
+    newStatus: alert.status,
+    result: { success: true, message }
+  });
+  res.json(updated);
 });
 
+const COMMENT_MAX_LENGTH = 5000;
+
+// Oldest first
+app.get('/api/alerts/:id/comments', (req, res) => {
+  const alert = alertRepository.findById(parseInt(req.params.id));
+  if (!alert) return res.status(404).json({ error: 'Alert not found' });
+  res.json({ items: alert.comments || [] });
+});
+
+app.post('/api/alerts/:id/comments', requireRole('analyst'), (req, res) => {
+  const alert = alertRepository.findById(parseInt(req.params.id));
+  if (!alert) return res.status(404).json({ error: 'Alert not found' });
+
+  const body = typeof req.body?.body === 'string' ? req.body.body.trim() : '';
+  if (!body) return res.status(400).json({ error: 'body is required' });
+  if (body.length > COMMENT_MAX_LENGTH) {
+    return res.status(400).json({ error: `body must be at most ${COMMENT_MAX_LENGTH} characters` });
+  }
+
+  const comment = alertRepository.addComment(alert.id, {
+    author: { id: req.user.id, username: req.user.username, displayName: req.user.displayName },
+    body
+  });
+  res.status(201).json(comment);
+});
 
 // Remediation endpoint -used
-app.post('/api/alerts/:id/remediate', async (req, res) => {
-  const alert = alerts.find(a => a.id === parseInt(req.params.id));
+// Analysts can remediate; deleting rows in Coda is reserved for admins
+app.post('/api/alerts/:id/remediate', requireRole('analyst'), async (req, res) => {
+  const { action } = req.body || {};
+  if (!REMEDIATION_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${REMEDIATION_ACTIONS.join(', ')}` });
+  }
+  if (action === 'delete' && !hasRole(req.user, 'admin')) {
+    return res.status(403).json({ error: 'Requires admin role' });
+  }
+
+  const alert = alertRepository.findById(parseInt(req.params.id));
   if (!alert) return res.status(404).json({ error: 'Alert not found' });
 
-  const { action } = req.body;
-  let result = { success: false, message: '' };
+  const result = await remediateAlert(alert, action, req.user);
+  res.json(result);
+});
 
-  switch (action) {
-    case 'delete':
-      if (alert.resourceType === 'row') {
-        try {
-          await deleteRowFromCoda(alert.docId, alert.metadata.tableId, alert.resourceId);
-          alert.status = ALERT_STATUS.REMEDIATED;
-          alert.updatedAt = new Date().toISOString();
-          result = { success: true, message: 'Row deleted successfully' };
-        } catch (error) {
-          result = { success: false, message: `Failed to delete: ${error.message}` };
-        }
-      } else {
-        result = { success: false, message: 'Delete action only supported for table rows' };
-      }
-      break;
+const BULK_MAX_ALERTS = parseInt(process.env.BULK_MAX_ALERTS) || 500;
 
-    case 'acknowledge':
-      alert.status = ALERT_STATUS.ACKNOWLEDGED;
-      alert.updatedAt = new Date().toISOString();
-      result = { success: true, message: 'Alert acknowledged' };
-      break;
+// Bulk triage: { action, ids: [...] } or { action, filter: {...} } using the
+// same filters as GET /api/alerts. Returns a result per alert.
+app.post('/api/alerts/bulk', requireRole('analyst'), async (req, res) => {
+  const { action, ids, filter } = req.body || {};
 
-    case 'ignore':
-      alert.status = ALERT_STATUS.IGNORED;
-      alert.updatedAt = new Date().toISOString();
-      result = { success: true, message: 'Alert ignored' };
-      break;
+  if (!BULK_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${BULK_ACTIONS.join(', ')}` });
+  }
+  if (action === 'delete' && !hasRole(req.user, 'admin')) {
+    return res.status(403).json({ error: 'Requires admin role' });
+  }
+  if ((ids === undefined) === (filter === undefined)) {
+    return res.status(400).json({ error: 'Provide either ids or filter' });
+  }
 
-    default:
-      result = { success: false, message: 'Invalid action. Use: delete, acknowledge, or ignore' };
+  let alerts;
+  const results = [];
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !Number.isInteger(id))) {
+      return res.status(400).json({ error: 'ids must be a non-empty array of alert ids' });
+    }
+    alerts = [];
+    for (const id of new Set(ids)) {
+      const alert = alertRepository.findById(id);
+      if (alert) alerts.push(alert);
+      else results.push({ id, success: false, message: 'Alert not found' });
+    }
+  } else {
+    const { filters, error } = parseAlertFilters(filter);
+    if (error) return res.status(400).json({ error });
+    alerts = alertRepository.query(filters);
   }
 
-  logger.info(`Remediation "${action}" on alert ${alert.id}: ${result.message}`);
-  res.json(result);
+  if (alerts.length > BULK_MAX_ALERTS) {
+    return res.status(400).json({
+      error: `Selection matches ${alerts.length} alerts; narrow it down to at most ${BULK_MAX_ALERTS}`
+    });
+  }
+
+  logger.info(`Bulk "${action}" on ${alerts.length} alert(s) requested by ${req.user.username}`);
+  results.push(...await remediateAlerts(alerts, action, req.user));
+  const succeeded = results.filter(r => r.success).length;
+
+  res.json({
+    action,
+    summary: { total: results.length, succeeded, failed: results.length - succeeded },
+    results
+  });
 });
 
-// Manual scan trigger - used
-app.post('/api/scan', async (req, res) => {
-  try {
-    logger.info('Manual scan triggered');
-    const results = await runSecurityScan();
-    res.json({ success: true, results });
-  } catch (error) {
-    logger.error('Scan failed:', error.message);
-    res.status(500).json({ error: 'Scan failed', message: error.message });
+// Manual scan trigger - used. `?full=true` forces a full rescan. The scan
+// runs in the background; poll GET /api/scans/:id for progress
+app.post('/api/scan', requireRole('analyst'), (req, res) => {
+  const full = req.query.full === 'true';
+  const { started, scan } = startScan(runSecurityScan, { full, trigger: 'manual', requestedBy: req.user.username });
+  if (!started) {
+    return res.status(409).json({ error: 'A scan is already running', scan });
   }
+  logger.info(`Manual scan ${scan.id} triggered by ${req.user.username}${full ? ' (full)' : ''}`);
+  res.status(202).json({ success: true, scan });
 });
 
+// Scan history and progress
+app.use('/api/scans', scansRouter);
+
+// Live alert and scan updates for the dashboard (Server-Sent Events)
+app.use('/api/events', eventsRouter);
+
+// Compliance summary reports
+app.use('/api/reports', reportsRouter);
+
+// Open alert counts per doc owner
+app.use('/api/owners', ownersRouter);
+
+// Detection rules
+app.use('/api/rules', rulesRouter);
+
+// User management
+app.use('/api/users', requireRole('admin'), usersRouter);
+
+// Audit trail of alert status changes
+app.use('/api/audit', auditRouter);
+
+// Suppression rules / allow-lists
+app.use('/api/suppressions', suppressionsRouter);
+
 // SPA catch-all 
 app.get('/{*path}', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
@@ -383,19 +919,49 @@ app.use((err, req, res, next) => {
 
 const scanIntervalMinutes = parseInt(process.env.SCAN_INTERVAL_MINUTES) || 5;
 
-// Start server after initial scan completes
-(async () => {
+// Start server after initial scan completes. Skipped when the tests load this
+// module to drive the app and the scanner themselves.
+async function start() {
+  // Load persisted alerts and scan history before anything touches them
+  db.load();
+  // Batched store writes must reach disk before the process goes away; the
+  // signal is re-raised so the exit code stays what it would have been
+  process.on('exit', db.flush);
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      db.flush();
+      process.kill(process.pid, signal);
+    });
+  }
+  ruleStore.load();
+  ensureBootstrapAdmin();
+  // Unchanged docs were only checked against the old rules, so rescan them all
+  ruleStore.onChange(() => scanStateRepository.clear());
+  // Push alert changes to connected dashboards
+  alertRepository.onChange((change, alert) => eventService.publish(`alert-${change}`, alert));
+
+  const interrupted = scanRepository.markInterrupted();
+  if (interrupted > 0) logger.info(`Marked ${interrupted} unfinished scan(s) from the previous run as interrupted`);
+
   // Run initial scan on startup and wait for it to complete
   logger.info('Running initial security scan...');
-  await runSecurityScan();
+  await startScan(runSecurityScan, { trigger: 'startup' }).promise;
   logger.info('Initial scan complete.');
 
-  // Schedule periodic scans
+  // Schedule periodic scans; a tick is skipped while another scan is running
   cron.schedule(`*/${scanIntervalMinutes} * * * *`, async () => {
-    logger.info(`Scheduled scan running (every ${scanIntervalMinutes} minutes)`);
-    await runSecurityScan();
+    const { started, scan, promise } = startScan(runSecurityScan, { trigger: 'scheduled' });
+    if (!started) {
+      logger.info(`Skipping scheduled scan, scan ${scan.id} is still running`);
+      return;
+    }
+    logger.info(`Scheduled scan ${scan.id} running (every ${scanIntervalMinutes} minutes)`);
+    await promise;
   });
 
+  // Weekly / monthly compliance reports
+  scheduleReports();
+
   // Start server
   app.listen(PORT, () => {
     logger.info(`=================================`);
@@ -406,4 +972,8 @@ const scanIntervalMinutes = parseInt(process.env.SCAN_INTERVAL_MINUTES) || 5;
     logger.info(`Scan interval: ${scanIntervalMinutes} minutes`);
     logger.info(`=================================`);
   });
-})();
+}
+
+if (require.main === module) start();
+
+module.exports = { app, runSecurityScan };
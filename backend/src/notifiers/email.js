@@ -0,0 +1,52 @@
+const nodemailer = require('nodemailer');
+const { DASHBOARD_URL, alertLine, summarize } = require('./format');
+
+const SMTP_CONFIG = {
+  host: process.env.SMTP_HOST || '',
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER || '',
+  pass: process.env.SMTP_PASS || '',
+  from: process.env.SMTP_FROM || 'SecureCoda <securecoda@localhost>'
+};
+
+let transport = null;
+
+function isSmtpConfigured() {
+  return Boolean(SMTP_CONFIG.host);
+}
+
+function getTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: SMTP_CONFIG.host,
+      port: SMTP_CONFIG.port,
+      secure: SMTP_CONFIG.secure,
+      auth: SMTP_CONFIG.user ? { user: SMTP_CONFIG.user, pass: SMTP_CONFIG.pass } : undefined
+    });
+  }
+  return transport;
+}
+
+// Shared with anything else that mails out (e.g. reports)
+async function sendMail({ to, subject, text, html, attachments }) {
+  await getTransport().sendMail({ from: SMTP_CONFIG.from, to, subject, text, html, attachments });
+}
+
+function createEmailChannel({ to }) {
+  return {
+    name: 'email',
+    async send(alerts) {
+      const body = alerts
+        .map(alert => `${alertLine(alert)}\n  ${alert.description}`)
+        .join('\n\n');
+      await sendMail({
+        to,
+        subject: `[SecureCoda] ${summarize(alerts)}`,
+        text: `${body}\n\nReview them at ${DASHBOARD_URL}\n`
+      });
+    }
+  };
+}
+
+module.exports = { SMTP_CONFIG, isSmtpConfigured, sendMail, createEmailChannel };
@@ -0,0 +1,41 @@
+const { DASHBOARD_URL } = require('../config/urls');
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+function bySeverityDesc(a, b) {
+  return SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity);
+}
+
+function alertLine(alert) {
+  return `[${alert.severity.toUpperCase()}] ${alert.title} (${alert.docName})`;
+}
+
+// One-line summary used for email subjects and Slack headers
+function summarize(alerts) {
+  if (alerts.length === 1) return alertLine(alerts[0]);
+  const counts = {};
+  for (const alert of alerts) counts[alert.severity] = (counts[alert.severity] || 0) + 1;
+  const breakdown = SEVERITY_ORDER.slice().reverse()
+    .filter(severity => counts[severity])
+    .map(severity => `${counts[severity]} ${severity}`)
+    .join(', ');
+  return `${alerts.length} new alerts (${breakdown})`;
+}
+
+// Fields sent to external systems; no Coda row contents or history
+function toPayloadAlert(alert) {
+  return {
+    id: alert.id,
+    type: alert.type,
+    severity: alert.severity,
+    title: alert.title,
+    description: alert.description,
+    docId: alert.docId,
+    docName: alert.docName,
+    resourceType: alert.resourceType,
+    resourceId: alert.resourceId,
+    createdAt: alert.createdAt
+  };
+}
+
+module.exports = { DASHBOARD_URL, SEVERITY_ORDER, bySeverityDesc, alertLine, summarize, toPayloadAlert };
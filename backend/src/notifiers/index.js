@@ -0,0 +1,140 @@
+const logger = require('../config/logger');
+const { SEVERITY_ORDER, bySeverityDesc } = require('./format');
+const { createSlackChannel } = require('./slack');
+const { isSmtpConfigured, createEmailChannel } = require('./email');
+const { createWebhookChannel } = require('./webhook');
+
+// Sends new alerts to the configured channels. A channel in `immediate` mode
+// gets one message per alert; in `digest` mode it gets a single message per
+// scan with everything that scan raised. Deliveries are retried with
+// exponential backoff and never hold up the scan.
+
+const MODES = ['immediate', 'digest'];
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 4;
+const RETRY_BASE_MS = parseInt(process.env.NOTIFY_RETRY_BASE_MS) || 2000;
+
+const DEFAULT_OPTIONS = {
+  minSeverity: process.env.NOTIFY_MIN_SEVERITY || 'high',
+  types: splitList(process.env.NOTIFY_TYPES),
+  mode: process.env.NOTIFY_MODE || 'immediate'
+};
+
+let channels = null;
+let batch = null; // Alerts raised by the scan in progress, for digest channels
+
+function splitList(value) {
+  return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// <PREFIX>_MIN_SEVERITY, <PREFIX>_TYPES and <PREFIX>_MODE override the
+// NOTIFY_* defaults for one channel
+function channelOptions(prefix) {
+  const env = name => process.env[`${prefix}_${name}`];
+  const options = {
+    minSeverity: env('MIN_SEVERITY') || DEFAULT_OPTIONS.minSeverity,
+    types: env('TYPES') !== undefined ? splitList(env('TYPES')) : DEFAULT_OPTIONS.types,
+    mode: env('MODE') || DEFAULT_OPTIONS.mode
+  };
+
+  if (!SEVERITY_ORDER.includes(options.minSeverity)) {
+    logger.warn(`${prefix}: unknown minimum severity "${options.minSeverity}", using "high"`);
+    options.minSeverity = 'high';
+  }
+  if (!MODES.includes(options.mode)) {
+    logger.warn(`${prefix}: unknown notification mode "${options.mode}", using "immediate"`);
+    options.mode = 'immediate';
+  }
+  return options;
+}
+
+function buildChannels() {
+  const built = [];
+  if (process.env.SLACK_WEBHOOK_URL) {
+    built.push({ ...createSlackChannel({ webhookUrl: process.env.SLACK_WEBHOOK_URL }), ...channelOptions('SLACK') });
+  }
+  if (isSmtpConfigured() && process.env.NOTIFY_EMAIL_TO) {
+    built.push({ ...createEmailChannel({ to: process.env.NOTIFY_EMAIL_TO }), ...channelOptions('EMAIL') });
+  }
+  // Receivers must be able to verify deliveries, so an unsigned webhook is
+  // never sent
+  if (process.env.NOTIFY_WEBHOOK_URL && !process.env.NOTIFY_WEBHOOK_SECRET) {
+    logger.error('Notifications: NOTIFY_WEBHOOK_URL is set without NOTIFY_WEBHOOK_SECRET; the webhook channel stays disabled until a signing secret is configured');
+  } else if (process.env.NOTIFY_WEBHOOK_URL) {
+    built.push({
+      ...createWebhookChannel({ url: process.env.NOTIFY_WEBHOOK_URL, secret: process.env.NOTIFY_WEBHOOK_SECRET }),
+      ...channelOptions('WEBHOOK')
+    });
+  }
+  return built;
+}
+
+function getChannels() {
+  if (!channels) {
+    channels = buildChannels();
+    for (const channel of channels) {
+      logger.info(`Notifications: ${channel.name} (${channel.mode}, ${channel.minSeverity}+${channel.types.length ? `, types: ${channel.types.join(', ')}` : ''})`);
+    }
+  }
+  return channels;
+}
+
+function matches(channel, alert) {
+  if (SEVERITY_ORDER.indexOf(alert.severity) < SEVERITY_ORDER.indexOf(channel.minSeverity)) return false;
+  return channel.types.length === 0 || channel.types.includes(alert.type);
+}
+
+// Never throws; a delivery that still fails after the last attempt is logged
+async function deliver(channel, alerts, context) {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      await channel.send(alerts, context);
+      logger.info(`Sent ${alerts.length} alert(s) to ${channel.name}`);
+      return true;
+    } catch (error) {
+      if (attempt === MAX_ATTEMPTS) {
+        logger.error(`Giving up on ${channel.name} notification after ${attempt} attempts: ${error.message}`);
+        return false;
+      }
+      const delay = RETRY_BASE_MS * 2 ** (attempt - 1);
+      logger.warn(`${channel.name} notification failed (attempt ${attempt}/${MAX_ATTEMPTS}), retrying in ${delay}ms: ${error.message}`);
+      await sleep(delay);
+    }
+  }
+  return false;
+}
+
+function dispatch(channel, alerts, context = {}) {
+  deliver(channel, [...alerts].sort(bySeverityDesc), context);
+}
+
+// Called by the scanner when it starts; digest channels wait for finishScan.
+// The first call also reports the channel setup in the log.
+function startScan() {
+  getChannels();
+  batch = [];
+}
+
+function alertCreated(alert) {
+  for (const channel of getChannels()) {
+    if (!matches(channel, alert)) continue;
+    // Outside a scan there is nothing to batch with, so digests go out directly
+    if (channel.mode === 'immediate' || !batch) dispatch(channel, [alert]);
+  }
+  if (batch) batch.push(alert);
+}
+
+function finishScan(scan) {
+  const alerts = batch || [];
+  batch = null;
+
+  for (const channel of getChannels().filter(c => c.mode === 'digest')) {
+    const matching = alerts.filter(alert => matches(channel, alert));
+    if (matching.length > 0) dispatch(channel, matching, { scan });
+  }
+}
+
+module.exports = { startScan, alertCreated, finishScan };
@@ -0,0 +1,23 @@
+const axios = require('axios');
+const { DASHBOARD_URL, alertLine, summarize } = require('./format');
+
+// Works with Slack incoming webhooks and compatible services (Mattermost,
+// Rocket.Chat, Teams via connectors) that accept a `text` field
+function createSlackChannel({ webhookUrl }) {
+  return {
+    name: 'slack',
+    async send(alerts) {
+      const lines = alerts.length === 1
+        ? [alerts[0].description]
+        : alerts.map(alert => `• ${alertLine(alert)}\n    ${alert.description}`);
+      const text = [
+        `:rotating_light: *SecureCoda: ${summarize(alerts)}*`,
+        ...lines,
+        `<${DASHBOARD_URL}|Open the alerts dashboard>`
+      ].join('\n');
+      await axios.post(webhookUrl, { text }, { timeout: 10000 });
+    }
+  };
+}
+
+module.exports = { createSlackChannel };
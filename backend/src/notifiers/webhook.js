@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { toPayloadAlert } = require('./format');
+
+// Receivers verify a delivery by recomputing
+//   HMAC-SHA256(secret, `${X-SecureCoda-Timestamp}.${raw body}`)
+// and comparing it with X-SecureCoda-Signature ("sha256=<hex>"). The timestamp
+// lets them reject replays of old deliveries.
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function createWebhookChannel({ url, secret }) {
+  return {
+    name: 'webhook',
+    async send(alerts, { scan } = {}) {
+      const body = JSON.stringify({
+        event: 'alerts.created',
+        sentAt: new Date().toISOString(),
+        scan,
+        alerts: alerts.map(toPayloadAlert)
+      });
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-SecureCoda-Timestamp': timestamp,
+        'X-SecureCoda-Signature': `sha256=${sign(secret, timestamp, body)}`
+      };
+
+      await axios.post(url, body, { headers, timeout: 10000 });
+    }
+  };
+}
+
+module.exports = { sign, createWebhookChannel };
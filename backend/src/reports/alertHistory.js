@@ -0,0 +1,49 @@
+const { ALERT_STATUS } = require('../constants/alerts');
+
+// Replays alert status history, so reports and trends can tell what an alert
+// looked like at any point in the past
+
+// Transitions that close a finding: fixed through SecureCoda or no longer
+// seen by a scan
+const CLOSED_STATUSES = [ALERT_STATUS.REMEDIATED, ALERT_STATUS.RESOLVED];
+
+function inRange(timestamp, { start, end }) {
+  const time = new Date(timestamp).getTime();
+  return time >= start.getTime() && time < end.getTime();
+}
+
+// Alert status as of `time` (null if it did not exist yet)
+function statusAt(alert, time) {
+  if (new Date(alert.createdAt).getTime() >= time.getTime()) return null;
+  let status = alert.statusHistory?.[0]?.status ?? alert.status;
+  for (const entry of alert.statusHistory || []) {
+    if (new Date(entry.at).getTime() >= time.getTime()) break;
+    status = entry.status;
+  }
+  return status;
+}
+
+// Every close in the range, with how long the finding had been open. Reopened
+// findings are measured from the latest reopen.
+function closuresIn(alerts, range) {
+  const closures = [];
+  for (const alert of alerts) {
+    let openedAt = alert.createdAt;
+    for (const entry of alert.statusHistory || []) {
+      if (entry.status === ALERT_STATUS.OPEN) {
+        openedAt = entry.at;
+      } else if (CLOSED_STATUSES.includes(entry.status) && !CLOSED_STATUSES.includes(entry.previousStatus)) {
+        if (inRange(entry.at, range)) {
+          closures.push({
+            alert,
+            status: entry.status,
+            durationMs: new Date(entry.at).getTime() - new Date(openedAt).getTime()
+          });
+        }
+      }
+    }
+  }
+  return closures;
+}
+
+module.exports = { CLOSED_STATUSES, inRange, statusAt, closuresIn };
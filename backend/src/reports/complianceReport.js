@@ -0,0 +1,107 @@
+const { ALERT_STATUS, AUTO_RESOLVABLE_STATUSES } = require('../constants/alerts');
+const { SEVERITY_ORDER } = require('../notifiers/format');
+const { inRange, statusAt, closuresIn } = require('./alertHistory');
+
+const PERIODS = ['weekly', 'monthly'];
+const TOP_N = parseInt(process.env.REPORT_TOP_N) || 10;
+
+// A period ends at `end` and covers the 7 days / calendar month before it
+function periodRange(period, end) {
+  const start = new Date(end);
+  if (period === 'monthly') start.setMonth(start.getMonth() - 1);
+  else start.setDate(start.getDate() - 7);
+  return { start, end: new Date(end) };
+}
+
+function severityCounts(alerts) {
+  const counts = Object.fromEntries(SEVERITY_ORDER.map(severity => [severity, 0]));
+  for (const alert of alerts) counts[alert.severity] = (counts[alert.severity] || 0) + 1;
+  return counts;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function periodMetrics(alerts, range) {
+  const created = alerts.filter(alert => inRange(alert.createdAt, range));
+  const closures = closuresIn(alerts, range);
+  const openAtEnd = alerts.filter(alert => AUTO_RESOLVABLE_STATUSES.includes(statusAt(alert, range.end)));
+
+  const mttrBySeverity = {};
+  for (const severity of SEVERITY_ORDER) {
+    mttrBySeverity[severity] = mean(closures.filter(c => c.alert.severity === severity).map(c => c.durationMs));
+  }
+
+  return {
+    range: { start: range.start.toISOString(), end: range.end.toISOString() },
+    newFindings: created.length,
+    newBySeverity: severityCounts(created),
+    closed: closures.length,
+    remediated: closures.filter(c => c.status === ALERT_STATUS.REMEDIATED).length,
+    autoResolved: closures.filter(c => c.status === ALERT_STATUS.RESOLVED).length,
+    meanTimeToRemediateMs: mean(closures.map(c => c.durationMs)),
+    mttrBySeverity,
+    openAtEnd: openAtEnd.length,
+    openBySeverity: severityCounts(openAtEnd)
+  };
+}
+
+function rankOffenders(groups) {
+  return [...groups.values()]
+    .sort((a, b) =>
+      b.bySeverity.critical - a.bySeverity.critical ||
+      b.bySeverity.high - a.bySeverity.high ||
+      b.open - a.open)
+    .slice(0, TOP_N);
+}
+
+// Docs and owners with the most findings still open at the end of the period
+function topOffenders(alerts, end) {
+  const openAtEnd = alerts.filter(alert => AUTO_RESOLVABLE_STATUSES.includes(statusAt(alert, end)));
+  const docs = new Map();
+  const owners = new Map();
+
+  const add = (groups, key, fields, alert) => {
+    if (!groups.has(key)) groups.set(key, { ...fields, open: 0, bySeverity: severityCounts([]) });
+    const group = groups.get(key);
+    group.open++;
+    group.bySeverity[alert.severity]++;
+  };
+
+  for (const alert of openAtEnd) {
+    const { owner = null, ownerName = null } = alert.metadata || {};
+    add(docs, alert.docId, { docId: alert.docId, docName: alert.docName, owner }, alert);
+    add(owners, owner ? owner.toLowerCase() : 'unknown', { owner, ownerName }, alert);
+  }
+
+  return { topDocs: rankOffenders(docs), topOwners: rankOffenders(owners) };
+}
+
+function delta(current, previous) {
+  if (current === null || previous === null) return null;
+  return current - previous;
+}
+
+function buildReport(alerts, { period = 'weekly', end = new Date() } = {}) {
+  const range = periodRange(period, end);
+  const previousRange = periodRange(period, range.start);
+  const current = periodMetrics(alerts, range);
+  const previous = periodMetrics(alerts, previousRange);
+
+  return {
+    period,
+    generatedAt: new Date().toISOString(),
+    current,
+    previous,
+    trend: {
+      newFindings: delta(current.newFindings, previous.newFindings),
+      closed: delta(current.closed, previous.closed),
+      meanTimeToRemediateMs: delta(current.meanTimeToRemediateMs, previous.meanTimeToRemediateMs),
+      openAtEnd: delta(current.openAtEnd, previous.openAtEnd)
+    },
+    ...topOffenders(alerts, range.end)
+  };
+}
+
+module.exports = { PERIODS, buildReport };
@@ -0,0 +1,144 @@
+const { DASHBOARD_URL, SEVERITY_ORDER } = require('../notifiers/format');
+
+// Rendered with inline styles only, since most mail clients drop <style>
+
+const SEVERITIES_DESC = SEVERITY_ORDER.slice().reverse();
+
+const SEVERITY_COLORS = { critical: '#721c24', high: '#856404', medium: '#0c5460', low: '#383d41' };
+
+const CELL = 'padding:6px 10px;border-bottom:1px solid #eee;text-align:left;';
+const HEADER_CELL = `${CELL}background:#f5f5f5;font-weight:600;`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(iso) {
+  return new Date(iso).toISOString().slice(0, 10);
+}
+
+function formatDuration(ms) {
+  if (ms === null) return 'n/a';
+  if (ms < 60000) return '< 1 min';
+  const hours = ms / 3600000;
+  if (hours < 1) return `${Math.round(ms / 60000)} min`;
+  if (hours < 48) return `${hours.toFixed(1)} h`;
+  return `${(hours / 24).toFixed(1)} days`;
+}
+
+// For counts, going down is good; `lowerIsBetter` flips it for closures
+function formatDelta(value, { duration = false, lowerIsBetter = true } = {}) {
+  if (value === null) return '<span style="color:#666;">n/a</span>';
+  if (value === 0) return '<span style="color:#666;">no change</span>';
+  const improved = lowerIsBetter ? value < 0 : value > 0;
+  const text = duration ? formatDuration(Math.abs(value)) : Math.abs(value);
+  const color = improved ? '#155724' : '#721c24';
+  return `<span style="color:${color};">${value > 0 ? '+' : '-'}${text}</span>`;
+}
+
+function table(headers, rows) {
+  const head = headers.map(h => `<th style="${HEADER_CELL}">${escapeHtml(h)}</th>`).join('');
+  const body = rows.map(row => `<tr>${row.map(cell => `<td style="${CELL}">${cell}</td>`).join('')}</tr>`).join('');
+  return `<table style="border-collapse:collapse;width:100%;font-size:14px;margin-bottom:24px;"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function severityCells(bySeverity) {
+  return SEVERITIES_DESC.map(severity => {
+    const count = bySeverity[severity] || 0;
+    return count > 0 ? `<span style="color:${SEVERITY_COLORS[severity]};font-weight:600;">${count}</span>` : '0';
+  });
+}
+
+function section(title, content) {
+  return `<h2 style="font-size:18px;color:#1a1a2e;margin:24px 0 8px;">${escapeHtml(title)}</h2>${content}`;
+}
+
+function renderSummary({ current, previous, trend }) {
+  return table(['Metric', 'This period', 'Previous period', 'Change'], [
+    ['New findings', current.newFindings, previous.newFindings, formatDelta(trend.newFindings)],
+    ['Findings closed', current.closed, previous.closed, formatDelta(trend.closed, { lowerIsBetter: false })],
+    ['&nbsp;&nbsp;remediated in SecureCoda', current.remediated, previous.remediated, ''],
+    ['&nbsp;&nbsp;resolved in Coda', current.autoResolved, previous.autoResolved, ''],
+    [
+      'Mean time to remediate',
+      formatDuration(current.meanTimeToRemediateMs),
+      formatDuration(previous.meanTimeToRemediateMs),
+      formatDelta(trend.meanTimeToRemediateMs, { duration: true })
+    ],
+    ['Open at end of period', current.openAtEnd, previous.openAtEnd, formatDelta(trend.openAtEnd)]
+  ]);
+}
+
+function renderSeverityBreakdown({ current }) {
+  return table(['Severity', 'New', 'Open at end', 'Mean time to remediate'], SEVERITIES_DESC.map(severity => [
+    `<span style="color:${SEVERITY_COLORS[severity]};font-weight:600;">${severity}</span>`,
+    current.newBySeverity[severity] || 0,
+    current.openBySeverity[severity] || 0,
+    formatDuration(current.mttrBySeverity[severity])
+  ]));
+}
+
+function renderTopDocs(topDocs) {
+  if (topDocs.length === 0) return '<p>No open findings.</p>';
+  return table(['Document', 'Owner', 'Open', ...SEVERITIES_DESC], topDocs.map(doc => [
+    escapeHtml(doc.docName || doc.docId),
+    escapeHtml(doc.owner || 'unknown'),
+    doc.open,
+    ...severityCells(doc.bySeverity)
+  ]));
+}
+
+function renderTopOwners(topOwners) {
+  if (topOwners.length === 0) return '<p>No open findings.</p>';
+  return table(['Owner', 'Open', ...SEVERITIES_DESC], topOwners.map(owner => [
+    owner.owner ? `${escapeHtml(owner.ownerName || owner.owner)}<br><span style="color:#666;">${escapeHtml(owner.owner)}</span>` : 'unknown',
+    owner.open,
+    ...severityCells(owner.bySeverity)
+  ]));
+}
+
+function reportTitle(report) {
+  const label = report.period === 'monthly' ? 'Monthly' : 'Weekly';
+  return `${label} compliance report, ${formatDate(report.current.range.start)} to ${formatDate(report.current.range.end)}`;
+}
+
+function renderHtml(report) {
+  const title = reportTitle(report);
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>SecureCoda - ${escapeHtml(title)}</title></head>
+<body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#333;max-width:860px;margin:0 auto;padding:24px;">
+<h1 style="font-size:22px;color:#1a1a2e;margin-bottom:4px;">SecureCoda ${escapeHtml(title)}</h1>
+<p style="color:#666;margin-top:0;">Generated ${escapeHtml(new Date(report.generatedAt).toUTCString())}. Compared with ${formatDate(report.previous.range.start)} to ${formatDate(report.previous.range.end)}.</p>
+${section('Summary', renderSummary(report))}
+${section('By severity', renderSeverityBreakdown(report))}
+${section('Top documents by open findings', renderTopDocs(report.topDocs))}
+${section('Top owners by open findings', renderTopOwners(report.topOwners))}
+<p style="color:#666;font-size:13px;">Review open findings at <a href="${escapeHtml(DASHBOARD_URL)}">${escapeHtml(DASHBOARD_URL)}</a>.</p>
+</body>
+</html>
+`;
+}
+
+// Plain-text fallback for the email body
+function renderText(report) {
+  const { current, trend } = report;
+  const sign = value => (value === null ? 'n/a' : value > 0 ? `+${value}` : String(value));
+  return [
+    `SecureCoda ${reportTitle(report)}`,
+    '',
+    `New findings: ${current.newFindings} (${sign(trend.newFindings)} vs previous period)`,
+    `Findings closed: ${current.closed} (${sign(trend.closed)})`,
+    `Mean time to remediate: ${formatDuration(current.meanTimeToRemediateMs)}`,
+    `Open at end of period: ${current.openAtEnd} (${sign(trend.openAtEnd)})`,
+    '',
+    `Review open findings at ${DASHBOARD_URL}`
+  ].join('\n');
+}
+
+module.exports = { reportTitle, renderHtml, renderText };
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const logger = require('../config/logger');
+const { DATA_DIR } = require('../db');
+const alertRepository = require('../repositories/alertRepository');
+const { isSmtpConfigured, sendMail } = require('../notifiers/email');
+const { PERIODS, buildReport } = require('./complianceReport');
+const { reportTitle, renderHtml, renderText } = require('./html');
+
+// Periodic compliance reports. REPORT_PERIOD picks the window (weekly or
+// monthly) and REPORT_CRON when it runs; REPORT_CRON=off disables the
+// schedule. Reports are saved to REPORT_DIR unless REPORT_SAVE=false, and
+// mailed to REPORT_EMAIL_TO when SMTP is configured.
+
+const DEFAULT_SCHEDULES = { weekly: '0 7 * * 1', monthly: '0 7 1 * *' };
+
+const REPORT_CONFIG = {
+  period: PERIODS.includes(process.env.REPORT_PERIOD) ? process.env.REPORT_PERIOD : 'weekly',
+  dir: process.env.REPORT_DIR || path.join(DATA_DIR, 'reports'),
+  save: process.env.REPORT_SAVE !== 'false',
+  emailTo: process.env.REPORT_EMAIL_TO || ''
+};
+REPORT_CONFIG.schedule = process.env.REPORT_CRON || DEFAULT_SCHEDULES[REPORT_CONFIG.period];
+
+// Saved reports are only ever served by these names, never by arbitrary paths
+const REPORT_FILE_PATTERN = /^compliance-(weekly|monthly)-\d{4}-\d{2}-\d{2}T\d{6}Z\.html$/;
+
+class ReportValidationError extends Error {
+  constructor(details) {
+    super(`Invalid report request: ${details.join('; ')}`);
+    this.name = 'ReportValidationError';
+    this.details = details;
+  }
+}
+
+// e.g. compliance-weekly-2026-10-19T070000Z.html
+function reportFileName(report) {
+  return `compliance-${report.period}-${report.generatedAt.slice(0, 19).replace(/:/g, '')}Z.html`;
+}
+
+function saveReport(report, html) {
+  fs.mkdirSync(REPORT_CONFIG.dir, { recursive: true });
+  const name = reportFileName(report);
+  fs.writeFileSync(path.join(REPORT_CONFIG.dir, name), html);
+  return name;
+}
+
+// Options default to the configured behaviour; the API can override them
+async function generateReport({ period = REPORT_CONFIG.period, save = REPORT_CONFIG.save, emailTo = REPORT_CONFIG.emailTo } = {}) {
+  const errors = [];
+  if (!PERIODS.includes(period)) errors.push(`period must be one of: ${PERIODS.join(', ')}`);
+  if (emailTo && !isSmtpConfigured()) errors.push('emailing reports requires SMTP_HOST');
+  if (!save && !emailTo) errors.push('report must be saved, emailed or both');
+  if (errors.length > 0) throw new ReportValidationError(errors);
+
+  const report = buildReport(alertRepository.all(), { period });
+  const html = renderHtml(report);
+  const result = { report, file: null, emailedTo: null };
+
+  if (save) {
+    result.file = saveReport(report, html);
+    logger.info(`Compliance report saved to ${path.join(REPORT_CONFIG.dir, result.file)}`);
+  }
+  if (emailTo) {
+    await sendMail({
+      to: emailTo,
+      subject: `[SecureCoda] ${reportTitle(report)}`,
+      text: renderText(report),
+      html
+    });
+    result.emailedTo = emailTo;
+    logger.info(`Compliance report emailed to ${emailTo}`);
+  }
+  return result;
+}
+
+// Newest first
+function listReports() {
+  if (!fs.existsSync(REPORT_CONFIG.dir)) return [];
+  return fs.readdirSync(REPORT_CONFIG.dir)
+    .filter(name => REPORT_FILE_PATTERN.test(name))
+    .map(name => {
+      const stats = fs.statSync(path.join(REPORT_CONFIG.dir, name));
+      return { name, period: name.split('-')[1], createdAt: stats.mtime.toISOString(), size: stats.size };
+    })
+    .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+function readReport(name) {
+  if (!REPORT_FILE_PATTERN.test(name)) return null;
+  const file = path.join(REPORT_CONFIG.dir, name);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+function scheduleReports() {
+  if (REPORT_CONFIG.schedule === 'off') {
+    logger.info('Scheduled compliance reports disabled (REPORT_CRON=off)');
+    return;
+  }
+  if (!cron.validate(REPORT_CONFIG.schedule)) {
+    logger.error(`Invalid REPORT_CRON "${REPORT_CONFIG.schedule}", compliance reports not scheduled`);
+    return;
+  }
+  const emailTo = isSmtpConfigured() ? REPORT_CONFIG.emailTo : '';
+  if (REPORT_CONFIG.emailTo && !emailTo) {
+    logger.warn('REPORT_EMAIL_TO is set but SMTP_HOST is not, compliance reports will not be emailed');
+  }
+  if (!REPORT_CONFIG.save && !emailTo) {
+    logger.warn('Compliance reports are neither saved nor emailed, not scheduling them');
+    return;
+  }
+
+  cron.schedule(REPORT_CONFIG.schedule, async () => {
+    try {
+      await generateReport({ emailTo });
+    } catch (error) {
+      logger.error(`Scheduled compliance report failed: ${error.message}`);
+    }
+  });
+  logger.info(`Compliance reports scheduled (${REPORT_CONFIG.period}, cron "${REPORT_CONFIG.schedule}")`);
+}
+
+module.exports = {
+  REPORT_CONFIG,
+  ReportValidationError,
+  generateReport,
+  listReports,
+  readReport,
+  scheduleReports
+};
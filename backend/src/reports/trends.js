@@ -0,0 +1,84 @@
+const { AUTO_RESOLVABLE_STATUSES } = require('../constants/alerts');
+const { SEVERITY_ORDER } = require('../notifiers/format');
+const { inRange, statusAt, closuresIn } = require('./alertHistory');
+
+const TREND_INTERVALS = ['day', 'week'];
+const DEFAULT_BUCKETS = { day: 30, week: 12 };
+const MAX_BUCKETS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUCKET_MS = { day: DAY_MS, week: 7 * DAY_MS };
+
+// Buckets are aligned to UTC midnight (days) or UTC Monday (weeks), so the
+// same request gives the same buckets throughout a day
+function bucketStart(time, interval) {
+  const start = new Date(time);
+  start.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+}
+
+// Default range: the last DEFAULT_BUCKETS buckets up to and including now.
+// At most MAX_BUCKETS are returned, starting from `since`.
+function bucketRanges(interval, { since, until }) {
+  const end = until ? new Date(until) : new Date();
+  let start = since
+    ? bucketStart(new Date(since), interval)
+    : bucketStart(new Date(end.getTime() - (DEFAULT_BUCKETS[interval] - 1) * BUCKET_MS[interval]), interval);
+
+  const ranges = [];
+  while (start.getTime() < end.getTime() && ranges.length < MAX_BUCKETS) {
+    const next = new Date(start.getTime() + BUCKET_MS[interval]);
+    // The current bucket is only counted up to `end`
+    ranges.push({ start, end: next.getTime() > end.getTime() ? end : next });
+    start = next;
+  }
+  return ranges;
+}
+
+function emptyCounts() {
+  return {
+    total: 0,
+    bySeverity: Object.fromEntries(SEVERITY_ORDER.map(severity => [severity, 0])),
+    byType: {}
+  };
+}
+
+function count(counts, alert) {
+  counts.total++;
+  counts.bySeverity[alert.severity] = (counts.bySeverity[alert.severity] || 0) + 1;
+  counts.byType[alert.type] = (counts.byType[alert.type] || 0) + 1;
+}
+
+// Per bucket: alerts created and closed during it (closed = remediated or
+// auto-resolved) and alerts open at its end. Created alerts are also broken
+// down by detector for content findings.
+function buildTrends(alerts, { interval = 'day', since, until } = {}) {
+  const buckets = bucketRanges(interval, { since, until }).map(range => {
+    const created = { ...emptyCounts(), byDetector: {} };
+    const remediated = emptyCounts();
+    const open = emptyCounts();
+
+    for (const alert of alerts) {
+      if (inRange(alert.createdAt, range)) {
+        count(created, alert);
+        const detector = alert.metadata?.sensitiveType;
+        if (detector) created.byDetector[detector] = (created.byDetector[detector] || 0) + 1;
+      }
+      if (AUTO_RESOLVABLE_STATUSES.includes(statusAt(alert, range.end))) count(open, alert);
+    }
+    for (const closure of closuresIn(alerts, range)) count(remediated, closure.alert);
+
+    return {
+      start: range.start.toISOString(),
+      end: range.end.toISOString(),
+      created,
+      remediated,
+      open
+    };
+  });
+
+  return { interval, buckets };
+}
+
+module.exports = { TREND_INTERVALS, buildTrends };
@@ -0,0 +1,237 @@
+const db = require('../db');
+const { SEVERITY_RANK, ALERT_TRANSITIONS } = require('../constants/alerts');
+
+const changeListeners = [];
+
+// Listeners run after an alert is created ('created') or changes status,
+// assignee or comments ('updated'), with the stored alert
+function onChange(listener) {
+  changeListeners.push(listener);
+}
+
+function notifyChange(change, alert) {
+  for (const listener of changeListeners) listener(change, alert);
+}
+
+function all() {
+  return db.getState().alerts;
+}
+
+function findById(id) {
+  return all().find(a => a.id === id) || null;
+}
+
+// Identifies "the same finding" across scans. Row findings are further keyed by
+// column and detector so two secrets in one row are tracked independently.
+// Older row alerts have no columnId; their columnName holds the id.
+function findingKey({ type, docId, resourceId, metadata = {} }) {
+  return [type, docId, resourceId, metadata.columnId ?? metadata.columnName, metadata.sensitiveType]
+    .filter(part => part !== undefined && part !== null)
+    .join(':');
+}
+
+// Finds an alert for the same finding that is currently in one of `statuses`
+function findMatch(alertData, statuses) {
+  const key = findingKey(alertData);
+  return all().find(a => statuses.includes(a.status) && findingKey(a) === key) || null;
+}
+
+function findByStatus(statuses) {
+  return all().filter(a => statuses.includes(a.status));
+}
+
+function create(alertData) {
+  const now = new Date().toISOString();
+  const alert = {
+    id: db.nextId('alert'),
+    ...alertData,
+    createdAt: now,
+    updatedAt: now,
+    statusHistory: [{ status: alertData.status, at: now }]
+  };
+
+  all().push(alert);
+  db.save();
+  notifyChange('created', alert);
+  return alert;
+}
+
+class InvalidTransitionError extends Error {
+  constructor(alert, status) {
+    super(`Alert ${alert.id} cannot move from ${alert.status} to ${status}`);
+    this.name = 'InvalidTransitionError';
+  }
+}
+
+// Whether the workflow allows `alert` to move to `status`
+function canTransition(alert, status) {
+  return (ALERT_TRANSITIONS[alert.status] || []).includes(status);
+}
+
+// `changes` are extra fields written alongside the transition (e.g.
+// resolvedAt). Throws InvalidTransitionError if the workflow forbids it.
+function updateStatus(id, status, changes = {}) {
+  const alert = findById(id);
+  if (!alert) return null;
+  if (!canTransition(alert, status)) throw new InvalidTransitionError(alert, status);
+
+  const now = new Date().toISOString();
+  alert.statusHistory = alert.statusHistory || [];
+  alert.statusHistory.push({ status, previousStatus: alert.status, at: now });
+  Object.assign(alert, changes);
+  alert.status = status;
+  alert.updatedAt = now;
+
+  db.save();
+  notifyChange('updated', alert);
+  return alert;
+}
+
+// Assignment and other non-status fields; the status only changes through
+// updateStatus
+function update(id, changes) {
+  const alert = findById(id);
+  if (!alert) return null;
+
+  Object.assign(alert, changes, { updatedAt: new Date().toISOString() });
+  db.save();
+  notifyChange('updated', alert);
+  return alert;
+}
+
+function addComment(id, { author, body }) {
+  const alert = findById(id);
+  if (!alert) return null;
+
+  const comment = { id: db.nextId('comment'), author, body, createdAt: new Date().toISOString() };
+  alert.comments = alert.comments || [];
+  alert.comments.push(comment);
+  db.save();
+  notifyChange('updated', alert);
+  return comment;
+}
+
+// Alerts without a due date are treated as due last
+const NO_DUE_DATE = Number.MAX_SAFE_INTEGER;
+
+function compareField(a, b, field) {
+  switch (field) {
+    case 'severity':
+      return (SEVERITY_RANK[a.severity] || 0) - (SEVERITY_RANK[b.severity] || 0);
+    case 'createdAt':
+    case 'updatedAt':
+      return new Date(a[field]) - new Date(b[field]);
+    case 'dueAt':
+      return (a.dueAt ? new Date(a.dueAt).getTime() : NO_DUE_DATE) - (b.dueAt ? new Date(b.dueAt).getTime() : NO_DUE_DATE);
+    default:
+      return String(a[field] || '').localeCompare(String(b[field] || ''));
+  }
+}
+
+// `owner` matches the doc owner's email (case-insensitive); `none` matches
+// alerts whose owner is unknown
+function matchesOwner(alert, owner) {
+  const alertOwner = alert.metadata?.owner;
+  if (owner === 'none') return !alertOwner;
+  return Boolean(alertOwner) && alertOwner.toLowerCase() === owner.toLowerCase();
+}
+
+// `assignee` matches the assigned user's username; `none` matches unassigned
+// alerts
+function matchesAssignee(alert, assignee) {
+  if (assignee === 'none') return !alert.assignee;
+  return Boolean(alert.assignee) && alert.assignee.username.toLowerCase() === assignee.toLowerCase();
+}
+
+// Filters: statuses/severities/types (arrays), docId, owner, assignee,
+// since/until on createdAt, and a case-insensitive search over title, doc
+// name and owner. Ties on the sort field fall back to newest first.
+function query({ statuses, severities, types, docId, owner, assignee, since, until, search } = {}, { sortBy = 'severity', sortDir = 'desc' } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const untilTime = until ? new Date(until).getTime() : null;
+  const needle = search ? search.toLowerCase() : null;
+
+  const matching = all().filter(alert => {
+    if (statuses && !statuses.includes(alert.status)) return false;
+    if (severities && !severities.includes(alert.severity)) return false;
+    if (types && !types.includes(alert.type)) return false;
+    if (docId && alert.docId !== docId) return false;
+    if (owner && !matchesOwner(alert, owner)) return false;
+    if (assignee && !matchesAssignee(alert, assignee)) return false;
+    const createdAt = new Date(alert.createdAt).getTime();
+    if (sinceTime !== null && createdAt < sinceTime) return false;
+    if (untilTime !== null && createdAt > untilTime) return false;
+    if (needle && !`${alert.title} ${alert.docName} ${alert.metadata?.ownerName || ''} ${alert.metadata?.owner || ''}`.toLowerCase().includes(needle)) return false;
+    return true;
+  });
+
+  const direction = sortDir === 'asc' ? 1 : -1;
+  return matching.sort((a, b) =>
+    compareField(a, b, sortBy) * direction || new Date(b.createdAt) - new Date(a.createdAt)
+  );
+}
+
+// Keeps the owner recorded on a doc's alerts current when the doc changes
+// hands. Returns how many alerts were updated.
+function syncDocOwner(docId, { owner, ownerName }) {
+  let updated = 0;
+  for (const alert of all()) {
+    if (alert.docId !== docId) continue;
+    const metadata = alert.metadata || {};
+    if (metadata.owner === owner && metadata.ownerName === ownerName) continue;
+    alert.metadata = { ...metadata, owner, ownerName };
+    updated++;
+  }
+  if (updated > 0) db.save();
+  return updated;
+}
+
+// Keeps what an existing alert says about its finding current when a scan
+// sees it again with different details (e.g. who a doc is now shared with).
+// Returns true when the alert changed.
+function refreshFinding(id, { description, metadata }) {
+  const alert = findById(id);
+  if (!alert) return false;
+  const refreshed = { ...alert.metadata, ...metadata };
+  if (alert.description === description && JSON.stringify(refreshed) === JSON.stringify(alert.metadata)) return false;
+
+  alert.description = description;
+  alert.metadata = refreshed;
+  alert.updatedAt = new Date().toISOString();
+  db.save();
+  notifyChange('updated', alert);
+  return true;
+}
+
+function getStats() {
+  const alerts = all();
+  const stats = { total: alerts.length, byStatus: {}, byType: {}, bySeverity: {}, byDoc: {} };
+  for (const alert of alerts) {
+    stats.byStatus[alert.status] = (stats.byStatus[alert.status] || 0) + 1;
+    stats.byType[alert.type] = (stats.byType[alert.type] || 0) + 1;
+    stats.bySeverity[alert.severity] = (stats.bySeverity[alert.severity] || 0) + 1;
+    // Keyed by id, with the name for the dashboard's document filter
+    const doc = stats.byDoc[alert.docId] || (stats.byDoc[alert.docId] = { docName: alert.docName, count: 0 });
+    doc.count++;
+  }
+  return stats;
+}
+
+module.exports = {
+  all,
+  findById,
+  findingKey,
+  findMatch,
+  findByStatus,
+  query,
+  create,
+  InvalidTransitionError,
+  canTransition,
+  updateStatus,
+  update,
+  addComment,
+  syncDocOwner,
+  refreshFinding,
+  getStats,
+  onChange
+};
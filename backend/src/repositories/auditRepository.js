@@ -0,0 +1,61 @@
+const db = require('../db');
+
+// Status changes made by the scanner rather than a person
+const SYSTEM_ACTOR = { id: null, username: 'system', role: null };
+
+function all() {
+  return db.getState().auditLog;
+}
+
+// Append-only: entries are never updated or removed. An entry describes
+// either an action on `alert` or a change to a `suppression` rule, stored as
+// it stood after the change (before it, for a delete).
+function record({ actor, action, alert, suppression, previousStatus, newStatus, result }) {
+  const entry = {
+    id: db.nextId('audit'),
+    at: new Date().toISOString(),
+    actor: actor ? { id: actor.id, username: actor.username, role: actor.role } : SYSTEM_ACTOR,
+    action
+  };
+  if (alert) {
+    Object.assign(entry, {
+      alertId: alert.id,
+      alertType: alert.type,
+      docId: alert.docId,
+      docName: alert.docName,
+      resourceType: alert.resourceType,
+      resourceId: alert.resourceId,
+      previousStatus,
+      newStatus
+    });
+  }
+  if (suppression) entry.suppression = { ...suppression };
+  if (result) entry.result = result;
+
+  all().push(entry);
+  db.save();
+  return entry;
+}
+
+// Filters: alertId, suppressionId, actor (username), action, docId,
+// since/until (ISO dates). Newest entries first.
+function query({ alertId, suppressionId, actor, action, docId, since, until } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const untilTime = until ? new Date(until).getTime() : null;
+
+  return all()
+    .filter(entry => {
+      if (alertId !== undefined && entry.alertId !== alertId) return false;
+      if (suppressionId !== undefined && entry.suppression?.id !== suppressionId) return false;
+      if (actor && entry.actor.username !== actor) return false;
+      if (action && entry.action !== action) return false;
+      if (docId && entry.docId !== docId) return false;
+      const at = new Date(entry.at).getTime();
+      if (sinceTime !== null && at < sinceTime) return false;
+      if (untilTime !== null && at > untilTime) return false;
+      return true;
+    })
+    .reverse();
+}
+
+module.exports = { SYSTEM_ACTOR, record, query };
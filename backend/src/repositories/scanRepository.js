@@ -0,0 +1,56 @@
+const db = require('../db');
+
+const MAX_SCAN_HISTORY = 200;
+
+function all() {
+  return db.getState().scans;
+}
+
+function findById(id) {
+  return all().find(s => s.id === id) || null;
+}
+
+// Scans are stored when they start (status `running`) and the same object is
+// updated as they progress, so readers always see live counters
+function create(fields) {
+  const scan = { id: db.nextId('scan'), ...fields };
+  const scans = all();
+  scans.push(scan);
+  if (scans.length > MAX_SCAN_HISTORY) {
+    scans.splice(0, scans.length - MAX_SCAN_HISTORY);
+  }
+  db.save();
+  return scan;
+}
+
+function update(id, changes) {
+  const scan = findById(id);
+  if (!scan) return null;
+  Object.assign(scan, changes);
+  db.save();
+  return scan;
+}
+
+// A scan still marked running at startup died with the previous process
+function markInterrupted() {
+  const interrupted = all().filter(s => s.status === 'running');
+  for (const scan of interrupted) {
+    scan.status = 'interrupted';
+    scan.completedAt = scan.completedAt || new Date().toISOString();
+  }
+  if (interrupted.length > 0) db.save();
+  return interrupted.length;
+}
+
+// List form of a scan: per-scan error details can be long, so only their
+// count is included
+function summarize({ errors = [], ...scan }) {
+  return { ...scan, errorCount: errors.length };
+}
+
+function latest() {
+  const scans = all();
+  return scans[scans.length - 1] || null;
+}
+
+module.exports = { all, findById, create, update, markInterrupted, summarize, latest };
@@ -0,0 +1,33 @@
+const db = require('../db');
+
+// Remembers what the previous scan saw for each doc:
+//   docs[docId] = { updatedAt, scannedAt, tables: { [tableId]: { [rowId]: rowUpdatedAt } } }
+function docs() {
+  return db.getState().scanState.docs;
+}
+
+function getDoc(docId) {
+  return docs()[docId] || null;
+}
+
+function saveDoc(docId, docState) {
+  docs()[docId] = { ...docState, scannedAt: new Date().toISOString() };
+  db.save();
+}
+
+// Drop state for docs that no longer exist so they are rescanned if restored
+function prune(activeDocIds) {
+  const active = new Set(activeDocIds);
+  const state = docs();
+  for (const docId of Object.keys(state)) {
+    if (!active.has(docId)) delete state[docId];
+  }
+  db.save();
+}
+
+function clear() {
+  db.getState().scanState.docs = {};
+  db.save();
+}
+
+module.exports = { getDoc, saveDoc, prune, clear };
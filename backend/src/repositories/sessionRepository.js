@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+function all() {
+  return db.getState().sessions;
+}
+
+// Only a hash of the bearer token is stored, so a leaked data file cannot be
+// replayed as a login
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function purgeExpired() {
+  const now = Date.now();
+  const sessions = all();
+  const active = sessions.filter(s => new Date(s.expiresAt).getTime() > now);
+  if (active.length !== sessions.length) {
+    db.getState().sessions = active;
+    db.save();
+  }
+}
+
+// Returns the raw token; it is never stored or shown again
+function create(userId) {
+  purgeExpired();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  all().push({
+    tokenHash: hashToken(token),
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+  });
+  db.save();
+  return { token, expiresAt: new Date(now + SESSION_TTL_MS).toISOString() };
+}
+
+function findByToken(token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const session = all().find(s => s.tokenHash === tokenHash);
+  if (!session) return null;
+  if (new Date(session.expiresAt).getTime() <= Date.now()) {
+    revoke(token);
+    return null;
+  }
+  return session;
+}
+
+function revoke(token) {
+  const tokenHash = hashToken(token);
+  const sessions = all();
+  const remaining = sessions.filter(s => s.tokenHash !== tokenHash);
+  if (remaining.length === sessions.length) return false;
+  db.getState().sessions = remaining;
+  db.save();
+  return true;
+}
+
+function revokeForUser(userId) {
+  db.getState().sessions = all().filter(s => s.userId !== userId);
+  db.save();
+}
+
+module.exports = { create, findByToken, revoke, revokeForUser };
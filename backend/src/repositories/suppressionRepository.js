@@ -0,0 +1,81 @@
+const db = require('../db');
+
+function all() {
+  return db.getState().suppressions;
+}
+
+function findById(id) {
+  return all().find(s => s.id === id) || null;
+}
+
+function isActive(suppression, now = Date.now()) {
+  return !suppression.expiresAt || new Date(suppression.expiresAt).getTime() > now;
+}
+
+// A column is given by the name shown in Coda (case-insensitive) or its id
+function matchesColumn(column, { columnId, columnName }) {
+  const wanted = column.toLowerCase();
+  return [columnName, columnId].some(value => value && String(value).toLowerCase() === wanted);
+}
+
+// Every criterion set on the suppression must match. A value hash matches
+// only when every value behind the finding is that value, so an allow-listed
+// test card next to a real one is still reported.
+function matches(suppression, alertData) {
+  const metadata = alertData.metadata || {};
+  if (suppression.docId && suppression.docId !== alertData.docId) return false;
+  if (suppression.alertType && suppression.alertType !== alertData.type) return false;
+  if (suppression.tableId && suppression.tableId !== metadata.tableId) return false;
+  if (suppression.columnName && !matchesColumn(suppression.columnName, metadata)) return false;
+  if (suppression.sensitiveType && suppression.sensitiveType !== metadata.sensitiveType) return false;
+  if (suppression.valueHash) {
+    const hashes = metadata.valueHashes || [];
+    if (hashes.length === 0 || hashes.some(hash => hash !== suppression.valueHash)) return false;
+  }
+  return true;
+}
+
+// Returns the first active suppression covering the finding, if any
+function findMatch(alertData) {
+  const now = Date.now();
+  return all().find(s => isActive(s, now) && matches(s, alertData)) || null;
+}
+
+function recordMatch(id) {
+  const suppression = findById(id);
+  if (!suppression) return;
+  suppression.matchCount = (suppression.matchCount || 0) + 1;
+  suppression.lastMatchedAt = new Date().toISOString();
+  db.save();
+}
+
+function create(suppressionData) {
+  const suppression = {
+    id: db.nextId('suppression'),
+    ...suppressionData,
+    matchCount: 0,
+    createdAt: new Date().toISOString()
+  };
+  all().push(suppression);
+  db.save();
+  return suppression;
+}
+
+function update(id, changes) {
+  const suppression = findById(id);
+  if (!suppression) return null;
+  Object.assign(suppression, changes, { updatedAt: new Date().toISOString() });
+  db.save();
+  return suppression;
+}
+
+function remove(id) {
+  const suppressions = all();
+  const index = suppressions.findIndex(s => s.id === id);
+  if (index === -1) return false;
+  suppressions.splice(index, 1);
+  db.save();
+  return true;
+}
+
+module.exports = { all, findById, isActive, matches, findMatch, recordMatch, create, update, remove };
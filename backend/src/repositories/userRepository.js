@@ -0,0 +1,60 @@
+const db = require('../db');
+
+function all() {
+  return db.getState().users;
+}
+
+// Never hand password hashes to callers outside the auth code
+function toPublic(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function findById(id) {
+  return all().find(u => u.id === id) || null;
+}
+
+function findByUsername(username) {
+  const normalized = String(username || '').toLowerCase();
+  return all().find(u => u.provider === 'local' && u.username.toLowerCase() === normalized) || null;
+}
+
+function findBySubject(provider, subject) {
+  return all().find(u => u.provider === provider && u.subject === subject) || null;
+}
+
+function create(userData) {
+  const user = {
+    id: db.nextId('user'),
+    ...userData,
+    disabled: false,
+    createdAt: new Date().toISOString()
+  };
+  all().push(user);
+  db.save();
+  return user;
+}
+
+function update(id, changes) {
+  const user = findById(id);
+  if (!user) return null;
+  Object.assign(user, changes, { updatedAt: new Date().toISOString() });
+  db.save();
+  return user;
+}
+
+function remove(id) {
+  const users = all();
+  const index = users.findIndex(u => u.id === id);
+  if (index === -1) return false;
+  users.splice(index, 1);
+  db.save();
+  return true;
+}
+
+function count() {
+  return all().length;
+}
+
+module.exports = { all, toPublic, findById, findByUsername, findBySubject, create, update, remove, count };
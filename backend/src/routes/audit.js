@@ -0,0 +1,36 @@
+const express = require('express');
+const auditRepository = require('../repositories/auditRepository');
+
+const router = express.Router();
+
+// Filters: alertId, suppressionId, actor, action, docId, since, until
+router.get('/', (req, res) => {
+  const { alertId, suppressionId, actor, action, docId, since, until, page = 1, limit = 50 } = req.query;
+
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ error: `${name} must be an ISO date` });
+    }
+  }
+
+  const entries = auditRepository.query({
+    alertId: alertId !== undefined ? parseInt(alertId) : undefined,
+    suppressionId: suppressionId !== undefined ? parseInt(suppressionId) : undefined,
+    actor,
+    action,
+    docId,
+    since,
+    until
+  });
+
+  const total = entries.length;
+  const start = (parseInt(page) - 1) * parseInt(limit);
+  const items = entries.slice(start, start + parseInt(limit));
+
+  res.json({
+    items,
+    pagination: { page: parseInt(page), limit: parseInt(limit), total, totalPages: Math.ceil(total / limit) }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const logger = require('../config/logger');
+const sessionRepository = require('../repositories/sessionRepository');
+const userRepository = require('../repositories/userRepository');
+const userService = require('../services/userService');
+const oidc = require('../auth/oidc');
+const { authenticate } = require('../auth/middleware');
+const loginThrottle = require('../auth/loginThrottle');
+const { FRONTEND_URL } = require('../config/urls');
+
+const router = express.Router();
+
+function startSession(user) {
+  const { token, expiresAt } = sessionRepository.create(user.id);
+  return { token, expiresAt, user: userRepository.toPublic(user) };
+}
+
+// Tells the login screen which sign-in methods to offer
+router.get('/config', (req, res) => {
+  res.json({
+    local: true,
+    oidc: oidc.isEnabled() ? { providerName: oidc.OIDC_CONFIG.providerName } : null
+  });
+});
+
+router.post('/login', (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return res.status(400).json({ error: 'username and password are required' });
+  }
+
+  const lockedMs = loginThrottle.lockedFor(username, req.ip);
+  if (lockedMs > 0) {
+    logger.warn(`Login for "${username}" from ${req.ip} refused: too many failed attempts`);
+    res.set('Retry-After', String(Math.ceil(lockedMs / 1000)));
+    return res.status(429).json({ error: 'Too many failed login attempts, try again later' });
+  }
+
+  const user = userService.authenticateLocal(username, password);
+  if (!user) {
+    loginThrottle.recordFailure(username, req.ip);
+    logger.warn(`Failed login attempt for "${username}" from ${req.ip}`);
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  loginThrottle.recordSuccess(username, req.ip);
+
+  logger.info(`User ${user.username} logged in`);
+  res.json(startSession(user));
+});
+
+router.post('/logout', authenticate, (req, res) => {
+  sessionRepository.revoke(req.sessionToken);
+  res.json({ success: true, message: 'Logged out' });
+});
+
+router.get('/me', authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+router.get('/oidc/login', async (req, res) => {
+  if (!oidc.isEnabled()) return res.status(404).json({ error: 'OIDC login is not configured' });
+  try {
+    res.redirect(await oidc.buildLoginUrl());
+  } catch (error) {
+    logger.error('Error starting OIDC login:', error.message);
+    res.status(502).json({ error: 'Identity provider unavailable' });
+  }
+});
+
+// The session token is handed to the SPA in the URL fragment, which is never
+// sent to a server or logged in access logs
+router.get('/oidc/callback', async (req, res) => {
+  if (!oidc.isEnabled()) return res.status(404).json({ error: 'OIDC login is not configured' });
+  if (req.query.error) {
+    return res.redirect(`${FRONTEND_URL}/#loginError=${encodeURIComponent(req.query.error)}`);
+  }
+
+  try {
+    const identity = await oidc.completeLogin({ code: req.query.code, state: req.query.state });
+    const user = userService.upsertOidcUser(identity);
+    if (user.disabled) {
+      return res.redirect(`${FRONTEND_URL}/#loginError=account_disabled`);
+    }
+    const { token } = startSession(user);
+    res.redirect(`${FRONTEND_URL}/#token=${encodeURIComponent(token)}`);
+  } catch (error) {
+    logger.error('OIDC login failed:', error.message);
+    res.redirect(`${FRONTEND_URL}/#loginError=oidc_failed`);
+  }
+});
+
+module.exports = router;
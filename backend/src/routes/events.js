@@ -0,0 +1,41 @@
+const express = require('express');
+const sessionRepository = require('../repositories/sessionRepository');
+const { subscribe } = require('../services/eventService');
+
+const router = express.Router();
+
+// Comment lines keep proxies from closing an idle stream; the same tick
+// ends streams whose session has expired or been revoked
+const HEARTBEAT_MS = 25000;
+const RECONNECT_MS = 5000;
+
+// Server-Sent Events stream of alert and scan changes
+router.get('/', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  const unsubscribe = subscribe((type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => {
+    if (!sessionRepository.findByToken(req.sessionToken)) {
+      res.end();
+      return;
+    }
+    res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const alertRepository = require('../repositories/alertRepository');
+const { ALERT_STATUS, AUTO_RESOLVABLE_STATUSES, SEVERITY_RANK } = require('../constants/alerts');
+
+const router = express.Router();
+
+function emptySeverityCounts() {
+  return Object.fromEntries(Object.keys(SEVERITY_RANK).map(severity => [severity, 0]));
+}
+
+// One entry per doc owner with their unresolved (open, acknowledged and in
+// progress) alerts, worst first. Alerts on docs whose owner is unknown are
+// grouped under `owner: null`.
+router.get('/', (req, res) => {
+  const owners = new Map();
+
+  for (const alert of alertRepository.all()) {
+    const email = alert.metadata?.owner || null;
+    const key = email ? email.toLowerCase() : null;
+    if (!owners.has(key)) {
+      owners.set(key, {
+        owner: email,
+        ownerName: alert.metadata?.ownerName || null,
+        open: 0,
+        acknowledged: 0,
+        inProgress: 0,
+        total: 0,
+        bySeverity: emptySeverityCounts(),
+        docs: new Set()
+      });
+    }
+
+    const entry = owners.get(key);
+    entry.total++;
+    if (!AUTO_RESOLVABLE_STATUSES.includes(alert.status)) continue;
+    if (alert.status === ALERT_STATUS.OPEN) entry.open++;
+    else if (alert.status === ALERT_STATUS.ACKNOWLEDGED) entry.acknowledged++;
+    else entry.inProgress++;
+    entry.bySeverity[alert.severity]++;
+    entry.docs.add(alert.docId);
+  }
+
+  const items = [...owners.values()]
+    .map(({ docs, ...entry }) => ({
+      ...entry,
+      unresolved: entry.open + entry.acknowledged + entry.inProgress,
+      docsWithOpenAlerts: docs.size
+    }))
+    .sort((a, b) =>
+      b.bySeverity.critical - a.bySeverity.critical ||
+      b.bySeverity.high - a.bySeverity.high ||
+      b.unresolved - a.unresolved ||
+      String(a.owner).localeCompare(String(b.owner)));
+
+  res.json({ items });
+});
+
+module.exports = router;
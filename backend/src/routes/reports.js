@@ -0,0 +1,36 @@
+const express = require('express');
+const logger = require('../config/logger');
+const reports = require('../reports');
+const { requireRole } = require('../auth/middleware');
+
+// Saved compliance reports can be read by anyone signed in; generating one
+// on demand is admin-only since it can send email
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json({ items: reports.listReports() });
+});
+
+router.get('/:name', (req, res) => {
+  const html = reports.readReport(req.params.name);
+  if (html === null) return res.status(404).json({ error: 'Report not found' });
+  res.type('html').send(html);
+});
+
+// Body: period (weekly|monthly), save (default true), emailTo (optional)
+router.post('/', requireRole('admin'), async (req, res) => {
+  const { period, save = true, emailTo = '' } = req.body || {};
+  try {
+    const { report, file, emailedTo } = await reports.generateReport({ period, save: save !== false, emailTo });
+    logger.info(`Compliance report generated by ${req.user.username}`);
+    res.status(201).json({ file, emailedTo, report });
+  } catch (error) {
+    if (error instanceof reports.ReportValidationError) {
+      return res.status(400).json({ error: 'Invalid report request', details: error.details });
+    }
+    logger.error('Error generating compliance report:', error.message);
+    res.status(500).json({ error: 'Failed to generate report' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const logger = require('../config/logger');
+const ruleStore = require('../scanner/ruleStore');
+const { requireRole } = require('../auth/middleware');
+
+// Anyone signed in can read the rules; changing them is admin-only
+const router = express.Router();
+
+function handleRuleError(res, error) {
+  if (error instanceof ruleStore.RuleValidationError) {
+    return res.status(400).json({ error: 'Invalid rule', details: error.details });
+  }
+  logger.error('Error saving rules:', error.message);
+  return res.status(500).json({ error: 'Failed to save rules' });
+}
+
+router.get('/', (req, res) => {
+  res.json({ items: ruleStore.list() });
+});
+
+router.get('/:id', (req, res) => {
+  const rule = ruleStore.get(req.params.id);
+  if (!rule) return res.status(404).json({ error: 'Rule not found' });
+  res.json(rule);
+});
+
+router.post('/', requireRole('admin'), (req, res) => {
+  try {
+    const rule = ruleStore.create(req.body);
+    logger.info(`Detection rule created: ${rule.id}`);
+    res.status(201).json(rule);
+  } catch (error) {
+    handleRuleError(res, error);
+  }
+});
+
+// Partial update - e.g. { "enabled": false } to disable a rule
+router.put('/:id', requireRole('admin'), (req, res) => {
+  try {
+    const rule = ruleStore.update(req.params.id, req.body);
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+    logger.info(`Detection rule updated: ${rule.id}`);
+    res.json(rule);
+  } catch (error) {
+    handleRuleError(res, error);
+  }
+});
+
+router.delete('/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (!ruleStore.remove(req.params.id)) return res.status(404).json({ error: 'Rule not found' });
+    logger.info(`Detection rule deleted: ${req.params.id}`);
+    res.json({ success: true, message: 'Rule deleted' });
+  } catch (error) {
+    handleRuleError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const scanRepository = require('../repositories/scanRepository');
+const { currentScan } = require('../services/scanJobService');
+
+const router = express.Router();
+
+// Newest first, without per-scan error details. Filters: status, trigger
+router.get('/', (req, res) => {
+  const { status, trigger, page = 1, limit = 20 } = req.query;
+
+  const scans = scanRepository.all()
+    .filter(s => !status || s.status === status)
+    .filter(s => !trigger || s.trigger === trigger)
+    .reverse();
+
+  const total = scans.length;
+  const start = (parseInt(page) - 1) * parseInt(limit);
+  const items = scans.slice(start, start + parseInt(limit)).map(scanRepository.summarize);
+
+  res.json({
+    items,
+    running: currentScan()?.id ?? null,
+    pagination: { page: parseInt(page), limit: parseInt(limit), total, totalPages: Math.ceil(total / limit) }
+  });
+});
+
+router.get('/:id', (req, res) => {
+  const scan = scanRepository.findById(parseInt(req.params.id));
+  if (!scan) return res.status(404).json({ error: 'Scan not found' });
+  res.json(scan);
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const logger = require('../config/logger');
+const auditRepository = require('../repositories/auditRepository');
+const suppressionRepository = require('../repositories/suppressionRepository');
+const suppressionService = require('../services/suppressionService');
+const { requireRole } = require('../auth/middleware');
+
+// Anyone signed in can list suppressions; analysts manage them
+const router = express.Router();
+
+function handleSuppressionError(res, error) {
+  if (error instanceof suppressionService.SuppressionValidationError) {
+    return res.status(400).json({ error: 'Invalid suppression', details: error.details });
+  }
+  logger.error('Error saving suppression:', error.message);
+  return res.status(500).json({ error: 'Failed to save suppression' });
+}
+
+const EDITABLE_FIELDS = ['reason', 'mode', 'expiresAt'];
+
+function recordChange(req, action, suppression, message) {
+  auditRepository.record({ actor: req.user, action, suppression, result: { success: true, message } });
+}
+
+function withStatus(suppression) {
+  return { ...suppression, active: suppressionRepository.isActive(suppression) };
+}
+
+router.get('/', (req, res) => {
+  res.json({ items: suppressionRepository.all().map(withStatus) });
+});
+
+router.get('/:id', (req, res) => {
+  const suppression = suppressionRepository.findById(parseInt(req.params.id));
+  if (!suppression) return res.status(404).json({ error: 'Suppression not found' });
+  res.json(withStatus(suppression));
+});
+
+// `applyToExisting: false` leaves alerts that are already open untouched
+router.post('/', requireRole('analyst'), async (req, res) => {
+  try {
+    const { suppression, alertsIgnored } = await suppressionService.createSuppression(req.body || {}, req.user);
+    logger.info(`Suppression ${suppression.id} created by ${req.user.username} (${alertsIgnored} existing alert(s) ignored)`);
+    recordChange(req, 'suppression_create', suppression, `Created; ${alertsIgnored} existing alert(s) ignored`);
+    res.status(201).json({ ...withStatus(suppression), alertsIgnored });
+  } catch (error) {
+    handleSuppressionError(res, error);
+  }
+});
+
+router.put('/:id', requireRole('analyst'), (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const previous = { ...suppressionRepository.findById(id) };
+    const suppression = suppressionService.updateSuppression(id, req.body || {});
+    if (!suppression) return res.status(404).json({ error: 'Suppression not found' });
+    logger.info(`Suppression ${suppression.id} updated by ${req.user.username}`);
+    const changed = EDITABLE_FIELDS.filter(field => previous[field] !== suppression[field]);
+    recordChange(req, 'suppression_update', suppression, changed.length > 0
+      ? `Changed ${changed.map(field => `${field} from ${JSON.stringify(previous[field])}`).join(', ')}`
+      : 'No changes');
+    res.json(withStatus(suppression));
+  } catch (error) {
+    handleSuppressionError(res, error);
+  }
+});
+
+router.delete('/:id', requireRole('analyst'), (req, res) => {
+  const suppression = suppressionRepository.findById(parseInt(req.params.id));
+  if (!suppression || !suppressionRepository.remove(suppression.id)) {
+    return res.status(404).json({ error: 'Suppression not found' });
+  }
+  logger.info(`Suppression ${suppression.id} deleted by ${req.user.username}`);
+  recordChange(req, 'suppression_delete', suppression, 'Deleted');
+  res.json({ success: true, message: 'Suppression deleted' });
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const logger = require('../config/logger');
+const userRepository = require('../repositories/userRepository');
+const userService = require('../services/userService');
+
+// Mounted behind requireRole('admin')
+const router = express.Router();
+
+function handleUserError(res, error) {
+  if (error instanceof userService.UserValidationError) {
+    return res.status(400).json({ error: 'Invalid user', details: error.details });
+  }
+  logger.error('Error saving user:', error.message);
+  return res.status(500).json({ error: 'Failed to save user' });
+}
+
+router.get('/', (req, res) => {
+  res.json({ items: userRepository.all().map(userRepository.toPublic) });
+});
+
+router.post('/', (req, res) => {
+  try {
+    const user = userService.createLocalUser(req.body || {});
+    logger.info(`User created: ${user.username} (${user.role}) by ${req.user.username}`);
+    res.status(201).json(userRepository.toPublic(user));
+  } catch (error) {
+    handleUserError(res, error);
+  }
+});
+
+// Partial update of role, displayName, password or disabled
+router.put('/:id', (req, res) => {
+  const id = parseInt(req.params.id);
+  if (id === req.user.id && (req.body?.role !== undefined || req.body?.disabled === true)) {
+    return res.status(400).json({ error: 'You cannot change your own role or disable yourself' });
+  }
+
+  try {
+    const user = userService.updateUser(id, req.body || {});
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    logger.info(`User updated: ${user.username} by ${req.user.username}`);
+    res.json(userRepository.toPublic(user));
+  } catch (error) {
+    handleUserError(res, error);
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  const id = parseInt(req.params.id);
+  if (id === req.user.id) return res.status(400).json({ error: 'You cannot delete yourself' });
+
+  try {
+    if (!userService.deleteUser(id)) return res.status(404).json({ error: 'User not found' });
+    logger.info(`User ${id} deleted by ${req.user.username}`);
+    res.json({ success: true, message: 'User deleted' });
+  } catch (error) {
+    handleUserError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+// Built-in detection rules. Seeded into the rules file on first start; after
+// that the rules file (and /api/rules) is the source of truth.
+//
+// `validator` names a post-match check from ./validators; `confidence` is the
+// score reported for rules without one. Entropy rules may also set
+// `entropyThreshold` (bits/char), otherwise ENTROPY_THRESHOLD applies.
+const DEFAULT_RULES = [
+  { id: 'creditCard', name: 'Credit Card Number', pattern: '\\b(?:\\d[-\\s]?){12,18}\\d\\b', flags: 'g', severity: 'high', enabled: true, validator: 'creditCard' },
+  { id: 'ssn', name: 'Social Security Number', pattern: '\\b\\d{3}[-\\s]?\\d{2}[-\\s]?\\d{4}\\b', flags: 'g', severity: 'high', enabled: true, validator: 'ssn' },
+  { id: 'iban', name: 'IBAN', pattern: '\\b[A-Z]{2}\\d{2}(?: ?[A-Z0-9]){11,30}\\b', flags: 'g', severity: 'high', enabled: true, validator: 'iban' },
+  { id: 'jwt', name: 'JSON Web Token', pattern: '\\beyJ[A-Za-z0-9_-]+\\.eyJ[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]*', flags: 'g', severity: 'critical', enabled: true, validator: 'jwt' },
+  { id: 'email', name: 'Email Address', pattern: '\\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Z|a-z]{2,}\\b', flags: 'g', severity: 'medium', enabled: true, confidence: 0.9 },
+  { id: 'phone', name: 'Phone Number', pattern: '(?:\\+?1[-.\\s]?)?\\(?\\b\\d{3}\\)?[-.\\s]?\\d{3}[-.\\s]?\\d{4}\\b', flags: 'g', severity: 'medium', enabled: true, validator: 'phone' },
+  { id: 'password', name: 'Password', pattern: '\\b(?:password|passwd|pwd)\\s*[:=]\\s*\\S+', flags: 'gi', severity: 'critical', enabled: true, confidence: 0.7 },
+  { id: 'apiKey', name: 'API Key/Token', pattern: '\\b(?:api[_-]?key|apikey|api[_-]?token|access[_-]?token|secret[_-]?key)\\s*[:=]\\s*[\'"]?[A-Za-z0-9_\\-]{10,}[\'"]?', flags: 'gi', severity: 'critical', enabled: true, confidence: 0.8 },
+  { id: 'awsKey', name: 'AWS Access Key', pattern: '\\bAKIA[0-9A-Z]{16}\\b', flags: 'g', severity: 'critical', enabled: true, confidence: 0.9 },
+  { id: 'privateKey', name: 'Private Key', pattern: '-----BEGIN\\s+(?:RSA\\s+)?PRIVATE\\s+KEY-----', flags: 'g', severity: 'critical', enabled: true, confidence: 0.99 },
+  { id: 'githubToken', name: 'GitHub Token', pattern: '\\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\\b', flags: 'g', severity: 'critical', enabled: true, confidence: 0.95 },
+  { id: 'slackToken', name: 'Slack Token', pattern: '\\bxox[abposr]-[A-Za-z0-9-]{10,250}\\b', flags: 'g', severity: 'critical', enabled: true, confidence: 0.95 },
+  { id: 'slackWebhook', name: 'Slack Webhook URL', pattern: 'https://hooks\\.slack\\.com/services/T[A-Z0-9]+/B[A-Z0-9]+/[A-Za-z0-9]+', flags: 'g', severity: 'high', enabled: true, confidence: 0.95 },
+  { id: 'stripeLiveKey', name: 'Stripe Live Secret Key', pattern: '\\b(?:sk|rk)_live_[A-Za-z0-9]{24,99}\\b', flags: 'g', severity: 'critical', enabled: true, confidence: 0.95 },
+  { id: 'stripeTestKey', name: 'Stripe Test Secret Key', pattern: '\\b(?:sk|rk)_test_[A-Za-z0-9]{24,99}\\b', flags: 'g', severity: 'high', enabled: true, confidence: 0.8 },
+  { id: 'gcpServiceAccount', name: 'GCP Service Account Key', pattern: '"private_key_id"\\s*:\\s*"[a-f0-9]{40}"', flags: 'g', severity: 'critical', enabled: true, confidence: 0.95 },
+  { id: 'gcpApiKey', name: 'Google API Key', pattern: '\\bAIza[0-9A-Za-z_-]{35}\\b', flags: 'g', severity: 'critical', enabled: true, confidence: 0.9 },
+  // Catch-all for secrets without a known prefix; see validators.entropy
+  { id: 'highEntropy', name: 'High-Entropy Secret', pattern: '[A-Za-z0-9+/_=-]{24,}', flags: 'g', severity: 'high', enabled: true, validator: 'entropy' }
+];
+
+module.exports = DEFAULT_RULES;
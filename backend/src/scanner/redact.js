@@ -0,0 +1,41 @@
+const ruleStore = require('./ruleStore');
+const { confirmMatches } = require('./scanText');
+
+// Detectors whose values are still useful for humans with the last 4 kept
+// (card / account numbers, SSNs, phones). Secrets are always masked in full.
+const KEEP_LAST_FOUR = ['creditCard', 'ssn', 'iban', 'phone'];
+const FULL_MASK = '[REDACTED]';
+
+// "4111 1111 1111 1111" -> "**** **** **** 1111", separators preserved
+function maskKeepingLastFour(value) {
+  let keep = 4;
+  const chars = value.split('');
+  for (let i = chars.length - 1; i >= 0; i--) {
+    if (!/[A-Za-z0-9]/.test(chars[i])) continue;
+    if (keep > 0) {
+      keep--;
+    } else {
+      chars[i] = '*';
+    }
+  }
+  return chars.join('');
+}
+
+// Masks every confirmed match of `ruleId` in `text`. Only matches the
+// detector would report are touched, so surrounding content is preserved.
+function redactText(text, ruleId) {
+  const rule = ruleStore.getCompiled(ruleId);
+  if (!rule) throw new Error(`Detection rule "${ruleId}" no longer exists`);
+
+  const confirmed = new Set(confirmMatches(rule, text).map(c => c.match));
+  let count = 0;
+  const redacted = text.replace(rule.regex, match => {
+    if (!confirmed.has(match)) return match;
+    count++;
+    return KEEP_LAST_FOUR.includes(ruleId) ? maskKeepingLastFour(match) : FULL_MASK;
+  });
+
+  return { text: redacted, count };
+}
+
+module.exports = redactText;
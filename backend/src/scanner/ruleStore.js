@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const logger = require('../config/logger');
+const { DATA_DIR } = require('../db');
+const DEFAULT_RULES = require('./defaultRules');
+const { VALIDATORS } = require('./validators');
+
+// A .yaml / .yml RULES_FILE is read and written as YAML, anything else as JSON
+const RULES_FILE = process.env.RULES_FILE || path.join(DATA_DIR, 'rules.json');
+const RULES_FILE_IS_YAML = /\.ya?ml$/i.test(RULES_FILE);
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const RULE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const ALLOWED_FLAGS = /^[gimsuy]*$/;
+const DEFAULT_CONFIDENCE = 0.5;
+// Matches scoring below this are dropped (e.g. a bare 10-digit number scores
+// 0.4 as a phone). A rule's own `minConfidence` overrides it.
+const configuredMinConfidence = parseFloat(process.env.MIN_CONFIDENCE);
+const MIN_CONFIDENCE = Number.isFinite(configuredMinConfidence) ? configuredMinConfidence : 0.5;
+
+// Bumped whenever the built-in rules change in a way existing rules files
+// should pick up. Upgrades only touch built-in rule ids and never re-add
+// rules a user removed. The one exception to leaving `enabled` alone is v2,
+// which switches SSN on now that it has a validator (it shipped disabled
+// because of false positives) and logs a warning when it does.
+const RULES_FILE_VERSION = 3;
+const RULES_FILE_UPGRADES = [
+  {
+    version: 2,
+    description: 'Attach validators to built-in detectors and re-enable SSN',
+    up(list) {
+      for (const rule of list) {
+        const builtIn = DEFAULT_RULES.find(d => d.id === rule.id);
+        if (!builtIn) continue;
+        if (builtIn.validator && rule.validator === undefined) {
+          rule.validator = builtIn.validator;
+          if (rule.id === 'ssn' && rule.enabled === false) {
+            rule.enabled = true;
+            logger.warn(`Re-enabled the SSN detector in ${RULES_FILE} now that its matches are validated; set "enabled": false on rule "ssn" to turn it off again`);
+          }
+        }
+        if (builtIn.confidence !== undefined && rule.confidence === undefined) {
+          rule.confidence = builtIn.confidence;
+        }
+      }
+      for (const builtIn of DEFAULT_RULES.filter(d => ['iban', 'jwt'].includes(d.id))) {
+        if (!list.some(r => r.id === builtIn.id)) list.push({ ...builtIn });
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Add credential detectors and the high-entropy secret detector',
+    up(list) {
+      const added = ['githubToken', 'slackToken', 'slackWebhook', 'stripeLiveKey', 'stripeTestKey', 'gcpServiceAccount', 'gcpApiKey', 'highEntropy'];
+      for (const builtIn of DEFAULT_RULES.filter(d => added.includes(d.id))) {
+        if (!list.some(r => r.id === builtIn.id)) list.push({ ...builtIn });
+      }
+    }
+  }
+];
+
+let rules = null; // Raw rule definitions, as stored in the rules file
+let compiled = []; // Enabled rules with their RegExp objects built
+let watching = false;
+let appliedHash = null; // Hash of the file content the active rules match
+const changeListeners = [];
+
+class RuleValidationError extends Error {
+  constructor(details) {
+    super(`Invalid rule: ${details.join('; ')}`);
+    this.name = 'RuleValidationError';
+    this.details = details;
+  }
+}
+
+// Returns a list of problems; an empty list means the rule is usable
+function validateRule(rule) {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object') return ['rule must be an object'];
+  if (typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) {
+    errors.push('id must contain only letters, digits, "_" or "-"');
+  }
+  if (typeof rule.name !== 'string' || !rule.name.trim()) {
+    errors.push('name is required');
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    errors.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (rule.flags !== undefined && (typeof rule.flags !== 'string' || !ALLOWED_FLAGS.test(rule.flags))) {
+    errors.push('flags may only contain g, i, m, s, u or y');
+  }
+  if (rule.validator !== undefined && rule.validator !== null && !VALIDATORS[rule.validator]) {
+    errors.push(`validator must be one of: ${Object.keys(VALIDATORS).join(', ')}`);
+  }
+  if (rule.confidence !== undefined && (typeof rule.confidence !== 'number' || rule.confidence < 0 || rule.confidence > 1)) {
+    errors.push('confidence must be a number between 0 and 1');
+  }
+  if (rule.minConfidence !== undefined && (typeof rule.minConfidence !== 'number' || rule.minConfidence < 0 || rule.minConfidence > 1)) {
+    errors.push('minConfidence must be a number between 0 and 1');
+  }
+  if (rule.entropyThreshold !== undefined && (typeof rule.entropyThreshold !== 'number' || rule.entropyThreshold <= 0 || rule.entropyThreshold > 8)) {
+    errors.push('entropyThreshold must be a number of bits per character between 0 and 8');
+  }
+
+  if (typeof rule.pattern !== 'string' || !rule.pattern) {
+    errors.push('pattern is required');
+  } else {
+    try {
+      const regex = new RegExp(rule.pattern, rule.flags || '');
+      // A pattern matching the empty string would flag every cell
+      if (regex.test('')) errors.push('pattern must not match an empty string');
+    } catch (error) {
+      errors.push(`pattern is not a valid regular expression: ${error.message}`);
+    }
+  }
+
+  if (rule.columns !== undefined) {
+    if (!Array.isArray(rule.columns) || rule.columns.some(c => typeof c !== 'string')) {
+      errors.push('columns must be an array of strings');
+    } else {
+      for (const column of rule.columns) {
+        try {
+          new RegExp(column, 'i');
+        } catch (error) {
+          errors.push(`column filter "${column}" is not a valid regular expression`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+function normalizeRule(rule) {
+  const normalized = {
+    id: rule.id,
+    name: rule.name.trim(),
+    pattern: rule.pattern,
+    flags: rule.flags || 'g',
+    severity: rule.severity,
+    enabled: rule.enabled !== false
+  };
+  if (rule.columns && rule.columns.length > 0) normalized.columns = rule.columns;
+  if (rule.validator) normalized.validator = rule.validator;
+  if (rule.confidence !== undefined) normalized.confidence = rule.confidence;
+  if (rule.minConfidence !== undefined) normalized.minConfidence = rule.minConfidence;
+  if (rule.entropyThreshold !== undefined) normalized.entropyThreshold = rule.entropyThreshold;
+  return normalized;
+}
+
+function compileRule(rule) {
+  return {
+    ...rule,
+    // scanText relies on String#match returning every occurrence
+    regex: new RegExp(rule.pattern, rule.flags.includes('g') ? rule.flags : `${rule.flags}g`),
+    columnFilters: rule.columns ? rule.columns.map(c => new RegExp(c, 'i')) : null,
+    validate: rule.validator ? VALIDATORS[rule.validator] : null,
+    confidence: rule.confidence ?? DEFAULT_CONFIDENCE,
+    minConfidence: rule.minConfidence ?? MIN_CONFIDENCE
+  };
+}
+
+function compile(definitions) {
+  return definitions.filter(rule => rule.enabled).map(compileRule);
+}
+
+function apply(definitions) {
+  rules = definitions;
+  compiled = compile(definitions);
+}
+
+// Listeners run after any change to the active rules (API or file edit)
+function onChange(listener) {
+  changeListeners.push(listener);
+}
+
+function notifyChange() {
+  for (const listener of changeListeners) listener(rules);
+}
+
+// Returns true when the list was changed and should be written back
+function upgradeRules(list, fromVersion) {
+  const pending = RULES_FILE_UPGRADES.filter(u => u.version > fromVersion);
+  for (const upgrade of pending) {
+    logger.info(`Upgrading rules file to v${upgrade.version}: ${upgrade.description}`);
+    upgrade.up(list);
+  }
+  return pending.length > 0;
+}
+
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function readRulesFile(content) {
+  const parsed = RULES_FILE_IS_YAML ? YAML.parse(content) : JSON.parse(content);
+  const list = Array.isArray(parsed) ? parsed : parsed?.rules;
+  if (!Array.isArray(list)) throw new Error('rules file must contain an array of rules');
+  const upgraded = upgradeRules(list, parsed.version || 1);
+
+  const valid = [];
+  for (const rule of list) {
+    const errors = validateRule(rule);
+    if (errors.length > 0) {
+      logger.error(`Skipping invalid rule "${rule?.id}" in ${RULES_FILE}: ${errors.join('; ')}`);
+      continue;
+    }
+    valid.push(normalizeRule(rule));
+  }
+  return { rules: valid, upgraded };
+}
+
+function writeRulesFile() {
+  const contents = { version: RULES_FILE_VERSION, rules };
+  const content = RULES_FILE_IS_YAML ? YAML.stringify(contents) : JSON.stringify(contents, null, 2);
+  const tmpFile = `${RULES_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, content);
+  fs.renameSync(tmpFile, RULES_FILE);
+  appliedHash = contentHash(content);
+}
+
+// Picks up hand edits to the rules file without a restart. A broken edit is
+// logged and the previously loaded rules stay active. Our own writes (API
+// changes, upgrades) were applied and announced already and are skipped.
+function watch() {
+  if (watching) return;
+  watching = true;
+  fs.watchFile(RULES_FILE, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    try {
+      const content = fs.readFileSync(RULES_FILE, 'utf8');
+      const hash = contentHash(content);
+      if (hash === appliedHash) return;
+      apply(readRulesFile(content).rules);
+      appliedHash = hash;
+      logger.info(`Reloaded ${rules.length} detection rules from ${RULES_FILE}`);
+      notifyChange();
+    } catch (error) {
+      logger.error(`Failed to reload rules from ${RULES_FILE}, keeping previous rules: ${error.message}`);
+    }
+  }).unref();
+}
+
+function load() {
+  fs.mkdirSync(path.dirname(RULES_FILE), { recursive: true });
+
+  if (!fs.existsSync(RULES_FILE)) {
+    apply(DEFAULT_RULES.map(normalizeRule));
+    writeRulesFile();
+    logger.info(`Seeded default detection rules into ${RULES_FILE}`);
+  } else {
+    const content = fs.readFileSync(RULES_FILE, 'utf8');
+    const { rules: loaded, upgraded } = readRulesFile(content);
+    apply(loaded);
+    appliedHash = contentHash(content);
+    if (upgraded) writeRulesFile();
+    logger.info(`Loaded ${rules.length} detection rules from ${RULES_FILE}`);
+  }
+
+  watch();
+  return rules;
+}
+
+function ensureLoaded() {
+  if (!rules) load();
+}
+
+function list() {
+  ensureLoaded();
+  return rules;
+}
+
+function get(id) {
+  ensureLoaded();
+  return rules.find(r => r.id === id) || null;
+}
+
+function getActiveRules() {
+  ensureLoaded();
+  return compiled;
+}
+
+// Compiled form of a single rule, enabled or not (used by remediation)
+function getCompiled(id) {
+  const rule = get(id);
+  return rule ? compileRule(rule) : null;
+}
+
+function create(rule) {
+  ensureLoaded();
+  const errors = validateRule(rule);
+  if (errors.length > 0) throw new RuleValidationError(errors);
+  if (get(rule.id)) throw new RuleValidationError([`rule "${rule.id}" already exists`]);
+
+  const created = normalizeRule(rule);
+  apply([...rules, created]);
+  writeRulesFile();
+  notifyChange();
+  return created;
+}
+
+// Partial update; the id itself cannot be changed
+function update(id, changes) {
+  const existing = get(id);
+  if (!existing) return null;
+
+  const merged = { ...existing, ...changes, id };
+  const errors = validateRule(merged);
+  if (errors.length > 0) throw new RuleValidationError(errors);
+
+  const updated = normalizeRule(merged);
+  apply(rules.map(r => (r.id === id ? updated : r)));
+  writeRulesFile();
+  notifyChange();
+  return updated;
+}
+
+function remove(id) {
+  if (!get(id)) return false;
+  apply(rules.filter(r => r.id !== id));
+  writeRulesFile();
+  notifyChange();
+  return true;
+}
+
+module.exports = {
+  RULES_FILE,
+  SEVERITIES,
+  RuleValidationError,
+  validateRule,
+  load,
+  onChange,
+  list,
+  get,
+  getActiveRules,
+  getCompiled,
+  create,
+  update,
+  remove
+};
@@ -0,0 +1,64 @@
+const ruleStore = require('./ruleStore');
+const { hashValue } = require('./valueHash');
+
+function appliesToColumn(rule, columnName) {
+  if (!rule.columnFilters) return true;
+  if (!columnName) return false;
+  return rule.columnFilters.some(filter => filter.test(columnName));
+}
+
+// Entropy rules are catch-alls: they run after the specific detectors and
+// ignore anything those already reported, so a GitHub token is one finding
+function isCatchAll(rule) {
+  return rule.validator === 'entropy';
+}
+
+function overlapsClaimed(match, claimed) {
+  return claimed.some(c => c.includes(match) || match.includes(c));
+}
+
+// Validators drop false positives (bad checksums, impossible ranges) and
+// score the rest; matches below the rule's minConfidence are dropped too.
+// A finding reports its best-scoring match.
+function confirmMatches(rule, text) {
+  const confirmed = [];
+  for (const match of text.match(rule.regex) || []) {
+    const confidence = rule.validate ? rule.validate(match, rule) : rule.confidence;
+    if (confidence !== null && confidence >= (rule.minConfidence ?? 0)) confirmed.push({ match, confidence });
+  }
+  return confirmed;
+}
+
+// Runs every enabled rule over `text`. Rules are read from the rule store on
+// each call, so edits made through /api/rules or the rules file apply to the
+// very next cell scanned.
+function scanText(text, { columnName } = {}) {
+  const findings = [];
+  if (!text || typeof text !== 'string') return findings;
+
+  const rules = ruleStore.getActiveRules();
+  const ordered = [...rules.filter(r => !isCatchAll(r)), ...rules.filter(isCatchAll)];
+  const claimed = [];
+
+  for (const rule of ordered) {
+    if (!appliesToColumn(rule, columnName)) continue;
+
+    const confirmed = confirmMatches(rule, text)
+      .filter(({ match }) => !(isCatchAll(rule) && overlapsClaimed(match, claimed)));
+    if (confirmed.length === 0) continue;
+    claimed.push(...confirmed.map(c => c.match));
+
+    findings.push({
+      type: rule.id,
+      name: rule.name,
+      severity: rule.severity,
+      count: confirmed.length,
+      confidence: Math.max(...confirmed.map(c => c.confidence)),
+      samples: confirmed.slice(0, 2).map(({ match: m }) => m.slice(0, 4) + '****' + m.slice(-2)),
+      valueHashes: [...new Set(confirmed.map(({ match }) => hashValue(match)))]
+    });
+  }
+  return findings;
+}
+
+module.exports = { scanText, confirmMatches };
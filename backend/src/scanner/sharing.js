@@ -0,0 +1,102 @@
+const { ALERT_TYPES } = require('../constants/alerts');
+
+// Our own domains; principals outside them are "external". Empty disables
+// the external-sharing check.
+const ALLOWED_DOMAINS = (process.env.ALLOWED_DOMAINS || '')
+  .split(',')
+  .map(d => d.trim().toLowerCase())
+  .filter(Boolean);
+const MAX_EDITORS = parseInt(process.env.MAX_EDITORS) || 20;
+
+function describePrincipal({ principal = {}, access }) {
+  return {
+    type: principal.type,
+    email: principal.email,
+    domain: principal.domain,
+    name: principal.groupName || principal.name,
+    access
+  };
+}
+
+function principalDomain(principal = {}) {
+  if (principal.type === 'domain') return principal.domain?.toLowerCase();
+  if (principal.type === 'email') return principal.email?.split('@')[1]?.toLowerCase();
+  return null;
+}
+
+function isAllowedDomain(domain) {
+  return ALLOWED_DOMAINS.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+}
+
+// Whether a principal belongs to a domain outside ALLOWED_DOMAINS. Always
+// false when ALLOWED_DOMAINS is empty.
+function isExternalPrincipal(principal) {
+  if (ALLOWED_DOMAINS.length === 0) return false;
+  const domain = principalDomain(principal);
+  return Boolean(domain) && !isAllowedDomain(domain);
+}
+
+// Whether a principal belongs to one of ALLOWED_DOMAINS
+function isInternalPrincipal(principal) {
+  const domain = principalDomain(principal);
+  return Boolean(domain) && isAllowedDomain(domain);
+}
+
+function sharingAlert(doc, type, fields) {
+  return {
+    type,
+    docId: doc.id,
+    docName: doc.name,
+    resourceId: doc.id,
+    resourceType: 'document',
+    ...fields
+  };
+}
+
+// Turns a doc's ACL into alert data for link sharing, external principals
+// and excessive editors
+function evaluateSharing(doc, permissions) {
+  const alerts = [];
+  const granted = permissions.filter(p => p.access && p.access !== 'none');
+
+  const linkShares = granted.filter(p => p.principal?.type === 'anyone');
+  if (linkShares.length > 0) {
+    const canEdit = linkShares.some(p => p.access === 'write');
+    alerts.push(sharingAlert(doc, ALERT_TYPES.LINK_SHARING, {
+      severity: canEdit ? 'critical' : 'high',
+      title: `Shared with anyone with the link: ${doc.name}`,
+      description: `Anyone with the link has ${canEdit ? 'edit' : linkShares[0].access} access`,
+      metadata: { principals: linkShares.map(describePrincipal) }
+    }));
+  }
+
+  if (ALLOWED_DOMAINS.length > 0) {
+    const external = granted.filter(p => isExternalPrincipal(p.principal));
+    if (external.length > 0) {
+      const canEdit = external.some(p => p.access === 'write');
+      alerts.push(sharingAlert(doc, ALERT_TYPES.EXTERNAL_SHARING, {
+        severity: canEdit ? 'high' : 'medium',
+        title: `Shared outside the organization: ${doc.name}`,
+        description: `${external.length} external principal(s) have access${canEdit ? ', including editors' : ''}`,
+        metadata: {
+          principals: external.map(describePrincipal),
+          domains: [...new Set(external.map(p => principalDomain(p.principal)))]
+        }
+      }));
+    }
+  }
+
+  const editors = granted.filter(p => p.access === 'write');
+  if (editors.length > MAX_EDITORS) {
+    alerts.push(sharingAlert(doc, ALERT_TYPES.EXCESSIVE_EDITORS, {
+      severity: 'medium',
+      title: `Too many editors: ${doc.name}`,
+      description: `${editors.length} principals can edit this document (limit ${MAX_EDITORS})`,
+      metadata: { principals: editors.map(describePrincipal), editorCount: editors.length, maxEditors: MAX_EDITORS }
+    }));
+  }
+
+  return alerts;
+}
+
+module.exports = { evaluateSharing, isExternalPrincipal, isInternalPrincipal, ALLOWED_DOMAINS, MAX_EDITORS };
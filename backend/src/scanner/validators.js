@@ -0,0 +1,164 @@
+// Post-match validators. Each takes the raw regex match (and the rule, for
+// tunables) and returns a confidence between 0 and 1, or null when the match
+// is not a real instance (failed checksum, impossible range, malformed...).
+
+const DEFAULT_ENTROPY_THRESHOLD = parseFloat(process.env.ENTROPY_THRESHOLD) || 4.0;
+
+function digitsOf(value) {
+  return value.replace(/\D/g, '');
+}
+
+function passesLuhn(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+// Issuer prefixes (BIN ranges) with the card lengths each network issues
+const CARD_NETWORKS = [
+  { name: 'visa', test: d => d.startsWith('4'), lengths: [13, 16, 19] },
+  { name: 'mastercard', test: d => /^5[1-5]/.test(d) || (Number(d.slice(0, 4)) >= 2221 && Number(d.slice(0, 4)) <= 2720), lengths: [16] },
+  { name: 'amex', test: d => /^3[47]/.test(d), lengths: [15] },
+  { name: 'discover', test: d => /^(6011|65|64[4-9])/.test(d), lengths: [16, 17, 18, 19] },
+  { name: 'jcb', test: d => Number(d.slice(0, 4)) >= 3528 && Number(d.slice(0, 4)) <= 3589, lengths: [16, 17, 18, 19] },
+  { name: 'diners', test: d => /^(30[0-5]|36|3[89])/.test(d), lengths: [14, 16, 17, 18, 19] },
+  { name: 'unionpay', test: d => d.startsWith('62'), lengths: [16, 17, 18, 19] }
+];
+
+function creditCard(match) {
+  const digits = digitsOf(match);
+  if (digits.length < 13 || digits.length > 19) return null;
+  if (/^(\d)\1+$/.test(digits)) return null;
+  if (!passesLuhn(digits)) return null;
+
+  const network = CARD_NETWORKS.find(n => n.test(digits));
+  if (!network) return 0.5;
+  return network.lengths.includes(digits.length) ? 0.95 : 0.6;
+}
+
+// SSA rules: no 000/666/9xx area, no 00 group, no 0000 serial, plus numbers
+// that were famously published and are never valid
+const INVALID_SSNS = new Set(['078051120', '219099999', '123456789']);
+
+function ssn(match) {
+  const digits = digitsOf(match);
+  if (digits.length !== 9) return null;
+
+  const area = Number(digits.slice(0, 3));
+  const group = Number(digits.slice(3, 5));
+  const serial = Number(digits.slice(5));
+  if (area === 0 || area === 666 || area >= 900) return null;
+  if (group === 0 || serial === 0) return null;
+  if (INVALID_SSNS.has(digits)) return null;
+
+  // 123-45-6789 style formatting is a much stronger signal than 9 bare digits
+  return /^\d{3}-\d{2}-\d{4}$/.test(match.trim()) ? 0.9 : 0.6;
+}
+
+// IBAN lengths by country (ISO 13616 registry, common countries)
+const IBAN_LENGTHS = {
+  AD: 24, AE: 23, AT: 20, BE: 16, BG: 22, BH: 22, BR: 29, CH: 21, CY: 28, CZ: 24,
+  DE: 22, DK: 18, EE: 20, ES: 24, FI: 18, FR: 27, GB: 22, GI: 23, GR: 27, HR: 21,
+  HU: 28, IE: 22, IL: 23, IS: 26, IT: 27, KW: 30, KZ: 20, LI: 21, LT: 20, LU: 20,
+  LV: 21, MC: 27, MT: 31, NL: 18, NO: 15, PL: 28, PT: 25, QA: 29, RO: 24, RS: 22,
+  SA: 24, SE: 24, SI: 19, SK: 24, SM: 27, TR: 26, UA: 29
+};
+
+function ibanChecksum(iban) {
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder;
+}
+
+function iban(match) {
+  const value = match.replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(value)) return null;
+  if (ibanChecksum(value) !== 1) return null;
+
+  const expectedLength = IBAN_LENGTHS[value.slice(0, 2)];
+  if (expectedLength && expectedLength !== value.length) return null;
+  return expectedLength ? 0.95 : 0.75;
+}
+
+function decodeBase64UrlJson(segment) {
+  try {
+    const json = Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+    const parsed = JSON.parse(json);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function jwt(match) {
+  const segments = match.split('.');
+  if (segments.length !== 3) return null;
+
+  const header = decodeBase64UrlJson(segments[0]);
+  const payload = decodeBase64UrlJson(segments[1]);
+  if (!header || typeof header.alg !== 'string' || !payload) return null;
+
+  // Unsigned tokens are still sensitive but usually test fixtures
+  if (header.alg === 'none' || !segments[2]) return 0.7;
+  return 0.95;
+}
+
+// NANP: area code and exchange cannot start with 0/1, area code is not N11
+function phone(match) {
+  let digits = digitsOf(match);
+  if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+  if (digits.length !== 10) return null;
+
+  const area = digits.slice(0, 3);
+  const exchange = digits.slice(3, 6);
+  if (/^[01]/.test(area) || /^[01]/.test(exchange)) return null;
+  if (/^\d11$/.test(area)) return null;
+  if (/^(\d)\1+$/.test(digits)) return null;
+
+  // Separators or parentheses make it look like a phone number rather than an ID
+  return /[()\s.-]/.test(match) || match.startsWith('+') ? 0.8 : 0.4;
+}
+
+// Bits of information per character, from the character frequencies
+function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) counts[char] = (counts[char] || 0) + 1;
+
+  let entropy = 0;
+  for (const count of Object.values(counts)) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+// Random-looking tokens: mixed letters and digits and entropy above the
+// rule's `entropyThreshold` (hex UUIDs top out at 4 bits/char; random
+// base62 keys usually land between 4.5 and 5.5)
+function entropy(match, rule = {}) {
+  if (!/[0-9]/.test(match) || !/[A-Za-z]/.test(match)) return null;
+
+  const threshold = rule.entropyThreshold ?? DEFAULT_ENTROPY_THRESHOLD;
+  const bits = shannonEntropy(match);
+  if (bits < threshold) return null;
+  return Math.min(0.9, 0.5 + (bits - threshold) * 0.4);
+}
+
+const VALIDATORS = { creditCard, ssn, iban, jwt, phone, entropy };
+
+module.exports = { VALIDATORS, passesLuhn, shannonEntropy, DEFAULT_ENTROPY_THRESHOLD };
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// Detected values are only ever stored as keyed hashes, so a suppression can
+// allow-list "this exact test card number" without the number being kept, and
+// low-entropy values like SSNs cannot be recovered by brute force without the
+// key. VALUE_HASH_KEY overrides the per-install key kept in the data store.
+function hashKey() {
+  return process.env.VALUE_HASH_KEY || db.getState().settings.valueHashKey;
+}
+
+// Separators are dropped so "4111 1111 1111 1111" and "4111-1111-1111-1111"
+// hash the same
+function normalize(value) {
+  return String(value).replace(/[\s-]/g, '');
+}
+
+function hashValue(value) {
+  return crypto.createHmac('sha256', hashKey()).update(normalize(value)).digest('hex');
+}
+
+module.exports = { hashValue };
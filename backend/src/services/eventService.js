@@ -0,0 +1,21 @@
+const { EventEmitter } = require('events');
+
+// In-process fan-out of dashboard events to connected /api/events streams.
+// Event types: alert-created, alert-updated, scan-progress
+const EVENT_TYPES = ['alert-created', 'alert-updated', 'scan-progress'];
+
+const emitter = new EventEmitter();
+// One listener per open browser tab
+emitter.setMaxListeners(0);
+
+function publish(type, data) {
+  emitter.emit('event', type, data);
+}
+
+// Returns a function that removes the listener
+function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+module.exports = { EVENT_TYPES, publish, subscribe };
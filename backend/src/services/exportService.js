@@ -0,0 +1,237 @@
+const { version } = require('../../package.json');
+const alertRepository = require('../repositories/alertRepository');
+const ruleStore = require('../scanner/ruleStore');
+const { ALERT_TYPES, ALERT_STATUS } = require('../constants/alerts');
+
+const EXPORT_FORMATS = ['csv', 'json', 'sarif'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  sarif: 'application/sarif+json; charset=utf-8'
+};
+
+// ============================================
+// CSV
+// ============================================
+
+const CSV_COLUMNS = [
+  ['id', a => a.id],
+  ['status', a => a.status],
+  ['severity', a => a.severity],
+  ['type', a => a.type],
+  ['title', a => a.title],
+  ['description', a => a.description],
+  ['docId', a => a.docId],
+  ['docName', a => a.docName],
+  ['owner', a => a.metadata?.owner],
+  ['ownerName', a => a.metadata?.ownerName],
+  ['resourceType', a => a.resourceType],
+  ['resourceId', a => a.resourceId],
+  ['tableName', a => a.metadata?.tableName],
+  ['columnName', a => a.metadata?.columnName],
+  ['rowCreator', a => a.metadata?.rowCreator],
+  ['pageName', a => a.metadata?.pageName],
+  ['detector', a => a.metadata?.sensitiveType],
+  ['confidence', a => a.metadata?.confidence],
+  ['assignee', a => a.assignee?.username],
+  ['dueAt', a => a.dueAt],
+  ['createdAt', a => a.createdAt],
+  ['updatedAt', a => a.updatedAt],
+  ['resolvedAt', a => a.resolvedAt]
+];
+
+// Quotes when needed, and defuses values a spreadsheet would run as a
+// formula (doc and column names come from Coda users)
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(alerts) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const alert of alerts) {
+    lines.push(CSV_COLUMNS.map(([, get]) => csvCell(get(alert))).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// ============================================
+// JSON
+// ============================================
+
+// Value hashes are only useful inside SecureCoda (suppressions)
+function toExportAlert({ metadata = {}, ...alert }) {
+  const { valueHashes, ...rest } = metadata;
+  return { ...alert, metadata: rest };
+}
+
+function toJson(alerts, filters) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    filters,
+    total: alerts.length,
+    alerts: alerts.map(toExportAlert)
+  }, null, 2);
+}
+
+// ============================================
+// SARIF 2.1.0
+// ============================================
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+
+// GitHub code scanning ranks results by this 0-10 score
+const SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.5', low: '2.0' };
+
+const ALERT_TYPE_RULES = {
+  [ALERT_TYPES.UNUSED_DOCUMENT]: 'Document has not been modified for a long time',
+  [ALERT_TYPES.PUBLIC_DOCUMENT]: 'Document is published publicly',
+  [ALERT_TYPES.LINK_SHARING]: 'Document is shared with anyone who has the link',
+  [ALERT_TYPES.EXTERNAL_SHARING]: 'Document is shared outside the organization',
+  [ALERT_TYPES.EXCESSIVE_EDITORS]: 'Document has too many editors'
+};
+
+// Content findings map to the detector that raised them; everything else to
+// its alert type
+function ruleIdFor(alert) {
+  return alert.metadata?.sensitiveType || alert.type;
+}
+
+function buildRule(alert) {
+  const id = ruleIdFor(alert);
+  const detector = alert.metadata?.sensitiveType ? ruleStore.get(id) : null;
+  const description = detector
+    ? `${detector.name} detected in Coda content`
+    : ALERT_TYPE_RULES[alert.type] || alert.type;
+
+  return {
+    id,
+    name: detector?.name || id,
+    shortDescription: { text: description },
+    defaultConfiguration: { level: SARIF_LEVELS[detector?.severity || alert.severity] || 'warning' },
+    properties: {
+      tags: ['security', alert.metadata?.sensitiveType ? 'sensitive-data' : 'configuration'],
+      'security-severity': SECURITY_SEVERITY[detector?.severity || alert.severity]
+    }
+  };
+}
+
+function docUrl(docId) {
+  return `https://coda.io/d/_d${docId}`;
+}
+
+// Coda has no files or line numbers: the doc is the artifact and the
+// table/row/column (or page) path inside it is the logical location
+function buildLocation(alert) {
+  const metadata = alert.metadata || {};
+  const logicalLocations = [{ name: alert.docName, fullyQualifiedName: alert.docId, kind: 'document' }];
+
+  if (metadata.tableId) {
+    logicalLocations.push({
+      name: metadata.tableName,
+      fullyQualifiedName: `${alert.docId}/${metadata.tableId}`,
+      kind: 'table'
+    });
+    logicalLocations.push({
+      name: metadata.columnName,
+      fullyQualifiedName: `${alert.docId}/${metadata.tableId}/${alert.resourceId}/${metadata.columnName}`,
+      kind: 'cell'
+    });
+  } else if (metadata.pageId) {
+    logicalLocations.push({
+      name: metadata.pageName,
+      fullyQualifiedName: `${alert.docId}/${metadata.pageId}`,
+      kind: 'page'
+    });
+  }
+  if (alert.resourceType && !['row', 'document', 'page'].includes(alert.resourceType)) {
+    logicalLocations.push({
+      fullyQualifiedName: `${alert.docId}/${alert.resourceId}`,
+      kind: alert.resourceType
+    });
+  }
+
+  return {
+    physicalLocation: { artifactLocation: { uri: metadata.pageLink || docUrl(alert.docId) } },
+    logicalLocations
+  };
+}
+
+function buildResult(alert, ruleIndex) {
+  const result = {
+    ruleId: ruleIdFor(alert),
+    ruleIndex,
+    level: SARIF_LEVELS[alert.severity] || 'warning',
+    message: { text: `${alert.title}. ${alert.description}` },
+    locations: [buildLocation(alert)],
+    partialFingerprints: { 'secureCodaFinding/v1': alertRepository.findingKey(alert) },
+    properties: {
+      alertId: alert.id,
+      status: alert.status,
+      severity: alert.severity,
+      confidence: alert.metadata?.confidence,
+      owner: alert.metadata?.owner,
+      assignee: alert.assignee?.username,
+      dueAt: alert.dueAt,
+      createdAt: alert.createdAt,
+      updatedAt: alert.updatedAt
+    }
+  };
+
+  // Ignored alerts were triaged as acceptable
+  if (alert.status === ALERT_STATUS.IGNORED) {
+    result.suppressions = [{
+      kind: 'external',
+      status: 'accepted',
+      justification: alert.suppressedBy ? `Suppression rule ${alert.suppressedBy}` : 'Ignored in SecureCoda'
+    }];
+  }
+  return result;
+}
+
+function toSarif(alerts) {
+  const rules = [];
+  const ruleIndexes = new Map();
+  const results = alerts.map(alert => {
+    const id = ruleIdFor(alert);
+    if (!ruleIndexes.has(id)) {
+      ruleIndexes.set(id, rules.length);
+      rules.push(buildRule(alert));
+    }
+    return buildResult(alert, ruleIndexes.get(id));
+  });
+
+  return JSON.stringify({
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'SecureCoda',
+          version,
+          rules
+        }
+      },
+      results
+    }]
+  }, null, 2);
+}
+
+const SERIALIZERS = { csv: toCsv, json: toJson, sarif: toSarif };
+
+// Returns the body plus the headers the download needs
+function exportAlerts(alerts, format, filters) {
+  const date = new Date().toISOString().slice(0, 10);
+  return {
+    body: SERIALIZERS[format](alerts, filters),
+    contentType: CONTENT_TYPES[format],
+    filename: `securecoda-alerts-${date}.${format}`
+  };
+}
+
+module.exports = { EXPORT_FORMATS, exportAlerts };
@@ -0,0 +1,320 @@
+const logger = require('../config/logger');
+const alertRepository = require('../repositories/alertRepository');
+const auditRepository = require('../repositories/auditRepository');
+const redactText = require('../scanner/redact');
+const { ALERT_TYPES, SHARING_ALERT_TYPES, ALERT_STATUS, AUTO_RESOLVABLE_STATUSES } = require('../constants/alerts');
+const { isExternalPrincipal, isInternalPrincipal } = require('../scanner/sharing');
+const { dueDateFor } = require('./slaService');
+const {
+  fetchRowFromCoda,
+  updateRowCellInCoda,
+  deleteRowFromCoda,
+  fetchDocFromCoda,
+  publishDocInCoda,
+  unpublishDocInCoda,
+  fetchPermissionsFromCoda,
+  addPermissionInCoda,
+  deletePermissionInCoda
+} = require('../coda/client');
+
+const REMEDIATION_ACTIONS = ['delete', 'redact', 'unpublish', 'restrict_sharing', 'revert', 'acknowledge', 'in_progress', 'ignore', 'reopen'];
+
+// Actions POST /api/alerts/bulk accepts
+const BULK_ACTIONS = ['acknowledge', 'in_progress', 'ignore', 'reopen', 'delete', 'redact'];
+
+// The status each action moves an alert to; the workflow decides whether
+// that is allowed from the alert's current status
+const ACTION_STATUSES = {
+  delete: ALERT_STATUS.REMEDIATED,
+  redact: ALERT_STATUS.REMEDIATED,
+  unpublish: ALERT_STATUS.REMEDIATED,
+  restrict_sharing: ALERT_STATUS.REMEDIATED,
+  revert: ALERT_STATUS.OPEN,
+  acknowledge: ALERT_STATUS.ACKNOWLEDGED,
+  in_progress: ALERT_STATUS.IN_PROGRESS,
+  ignore: ALERT_STATUS.IGNORED,
+  reopen: ALERT_STATUS.OPEN
+};
+
+// Resource type a Coda-side action works on
+const ACTION_RESOURCE_TYPES = { delete: 'row', redact: 'row', unpublish: 'document', restrict_sharing: 'document' };
+
+// Alert types a document action actually fixes. Anywhere else it would mark
+// the alert remediated while the next scan still finds the same thing.
+const ACTION_ALERT_TYPES = {
+  unpublish: [ALERT_TYPES.PUBLIC_DOCUMENT],
+  restrict_sharing: SHARING_ALERT_TYPES
+};
+
+// Principals that expose a doc beyond named people: link sharing and
+// grants to whole domains other than our own (ALLOWED_DOMAINS)
+const BROAD_PRINCIPAL_TYPES = ['anyone', 'domain'];
+
+function isBroadPrincipal(principal) {
+  return BROAD_PRINCIPAL_TYPES.includes(principal?.type) && !isInternalPrincipal(principal);
+}
+
+// Document actions store what they changed in `alert.remediation.priorState`
+// so they can be undone with the `revert` action
+function markRemediated(alert, action, priorState) {
+  const remediation = priorState
+    ? { action, at: new Date().toISOString(), priorState }
+    : undefined;
+  alertRepository.updateStatus(alert.id, ALERT_STATUS.REMEDIATED, remediation ? { remediation } : {});
+}
+
+async function deleteAlertRow(alert) {
+  await deleteRowFromCoda(alert.docId, alert.metadata.tableId, alert.resourceId);
+  markRemediated(alert, 'delete');
+  return { success: true, message: 'Row deleted successfully' };
+}
+
+// Masks the detected value in the alert's cell, leaving the rest of the row
+// (and the rest of the cell text) intact
+async function redactAlertCell(alert) {
+  const { tableId, columnName, sensitiveType } = alert.metadata;
+  // Row values are keyed by column id; older alerts keep the id in columnName
+  const columnId = alert.metadata.columnId || columnName;
+  const row = await fetchRowFromCoda(alert.docId, tableId, alert.resourceId);
+  const current = row.values?.[columnId];
+
+  if (typeof current !== 'string') {
+    return { success: false, message: 'Only text cells can be redacted' };
+  }
+
+  const { text, count } = redactText(current, sensitiveType);
+  if (count === 0) {
+    return { success: false, message: 'Sensitive value is no longer present in the cell' };
+  }
+
+  await updateRowCellInCoda(alert.docId, tableId, alert.resourceId, columnId, text);
+  markRemediated(alert, 'redact');
+  return { success: true, message: `Redacted ${count} value(s) in column "${columnName}"` };
+}
+
+async function unpublishDocument(alert) {
+  const doc = await fetchDocFromCoda(alert.docId);
+  if (!doc.published) {
+    return { success: false, message: 'Document is not published' };
+  }
+
+  await unpublishDocInCoda(alert.docId);
+  markRemediated(alert, 'unpublish', { published: doc.published });
+  return { success: true, message: 'Document unpublished' };
+}
+
+// Permissions restrict_sharing removes: link and outside-domain grants, plus
+// the people outside ALLOWED_DOMAINS behind an external-sharing alert
+function permissionsToRestrict(alert, permissions) {
+  return permissions.filter(p => isBroadPrincipal(p.principal)
+    || (alert.type === ALERT_TYPES.EXTERNAL_SHARING && isExternalPrincipal(p.principal)));
+}
+
+// Stops at the first permission Coda refuses to delete. Whatever was already
+// removed is kept on the alert (which stays where it is) so a retry finishes
+// the job and a later revert restores everything.
+async function restrictDocumentSharing(alert) {
+  const earlier = alert.remediation?.partial ? alert.remediation.priorState.removedPermissions : [];
+  const permissions = await fetchPermissionsFromCoda(alert.docId);
+  const targets = permissionsToRestrict(alert, permissions);
+  if (targets.length === 0 && earlier.length === 0) {
+    return { success: false, message: 'Document has no link, outside-domain or external sharing to remove' };
+  }
+
+  const removed = [];
+  for (const permission of targets) {
+    try {
+      await deletePermissionInCoda(alert.docId, permission.id);
+    } catch (error) {
+      if (removed.length === 0) throw error;
+      alertRepository.update(alert.id, {
+        remediation: {
+          action: 'restrict_sharing',
+          at: new Date().toISOString(),
+          partial: true,
+          priorState: { removedPermissions: [...earlier, ...removed] }
+        }
+      });
+      const result = {
+        success: false,
+        partial: true,
+        removed: removed.length,
+        message: `Removed ${removed.length} of ${targets.length} sharing permission(s), then failed: ${error.message}`
+      };
+      if (typeof error.toJSON === 'function') result.codaError = error.toJSON();
+      return result;
+    }
+    removed.push({ access: permission.access, principal: permission.principal });
+  }
+
+  markRemediated(alert, 'restrict_sharing', { removedPermissions: [...earlier, ...removed] });
+  return { success: true, message: `Removed ${removed.length} sharing permission(s)` };
+}
+
+async function revertRemediation(alert) {
+  const remediation = alert.remediation;
+  if (alert.status !== ALERT_STATUS.REMEDIATED || !remediation?.priorState || remediation.revertedAt) {
+    return { success: false, message: 'Nothing to revert for this alert' };
+  }
+
+  switch (remediation.action) {
+    case 'unpublish': {
+      const published = remediation.priorState.published;
+      await publishDocInCoda(alert.docId, {
+        discoverable: published.discoverable,
+        earnCredit: published.earnCredit,
+        mode: published.mode,
+        categoryNames: (published.categories || []).map(c => c.name)
+      });
+      break;
+    }
+    case 'restrict_sharing':
+      for (const permission of remediation.priorState.removedPermissions) {
+        await addPermissionInCoda(alert.docId, permission);
+      }
+      break;
+    default:
+      return { success: false, message: `Action "${remediation.action}" cannot be reverted` };
+  }
+
+  alertRepository.updateStatus(alert.id, ALERT_STATUS.OPEN, {
+    remediation: { ...remediation, revertedAt: new Date().toISOString() },
+    dueAt: dueDateFor(alert.severity)
+  });
+  return { success: true, message: `Reverted ${remediation.action}` };
+}
+
+const RESOURCE_LABELS = { row: 'table rows', document: 'documents' };
+
+// Runs a Coda-side action if the alert points at the right kind of resource
+// and is of a type the action fixes
+async function runResourceAction(alert, { resourceType, alertTypes, label }, run) {
+  if (resourceType && alert.resourceType !== resourceType) {
+    return { success: false, message: `${label} action only supported for ${RESOURCE_LABELS[resourceType]}` };
+  }
+  if (alertTypes && !alertTypes.includes(alert.type)) {
+    return { success: false, message: `${label} action only supported for ${alertTypes.map(statusLabel).join(', ')} alerts` };
+  }
+  try {
+    return await run(alert);
+  } catch (error) {
+    const result = { success: false, message: `Failed to ${label.toLowerCase()}: ${error.message}` };
+    if (typeof error.toJSON === 'function') result.codaError = error.toJSON();
+    return result;
+  }
+}
+
+async function runAction(alert, action) {
+  switch (action) {
+    case 'delete':
+      return runResourceAction(alert, { resourceType: 'row', label: 'Delete' }, deleteAlertRow);
+
+    case 'redact':
+      return runResourceAction(alert, { resourceType: 'row', label: 'Redact' }, redactAlertCell);
+
+    case 'unpublish':
+      return runResourceAction(alert, { resourceType: 'document', alertTypes: ACTION_ALERT_TYPES.unpublish, label: 'Unpublish' }, unpublishDocument);
+
+    case 'restrict_sharing':
+      return runResourceAction(alert, { resourceType: 'document', alertTypes: ACTION_ALERT_TYPES.restrict_sharing, label: 'Restrict sharing' }, restrictDocumentSharing);
+
+    case 'revert':
+      return runResourceAction(alert, { label: 'Revert' }, revertRemediation);
+
+    case 'acknowledge':
+      alertRepository.updateStatus(alert.id, ALERT_STATUS.ACKNOWLEDGED);
+      return { success: true, message: 'Alert acknowledged' };
+
+    case 'in_progress':
+      alertRepository.updateStatus(alert.id, ALERT_STATUS.IN_PROGRESS);
+      return { success: true, message: 'Alert marked in progress' };
+
+    case 'ignore':
+      alertRepository.updateStatus(alert.id, ALERT_STATUS.IGNORED);
+      return { success: true, message: 'Alert ignored' };
+
+    // Puts a triaged alert back in the queue; changes made in Coda are
+    // not undone (use revert for that). A closed alert gets a fresh due date.
+    case 'reopen': {
+      const changes = { resolvedAt: null };
+      if (!AUTO_RESOLVABLE_STATUSES.includes(alert.status)) changes.dueAt = dueDateFor(alert.severity);
+      alertRepository.updateStatus(alert.id, ALERT_STATUS.OPEN, changes);
+      return { success: true, message: 'Alert reopened' };
+    }
+
+    default:
+      return { success: false, message: `Invalid action. Use: ${REMEDIATION_ACTIONS.join(', ')}` };
+  }
+}
+
+function statusLabel(status) {
+  return status.replace(/_/g, ' ');
+}
+
+// Checked before anything is changed in Coda
+function transitionError(alert, action) {
+  const status = ACTION_STATUSES[action];
+  if (!status || alertRepository.canTransition(alert, status)) return null;
+  return alert.status === status
+    ? `Alert is already ${statusLabel(status)}`
+    : `Cannot ${statusLabel(action)} an alert that is ${statusLabel(alert.status)}`;
+}
+
+// Actions the workflow currently allows on `alert`, including Coda-side
+// actions that fit its resource and alert type. Role checks are left to the
+// caller.
+function availableActions(alert) {
+  return REMEDIATION_ACTIONS.filter(action => {
+    if (transitionError(alert, action)) return false;
+    const resourceType = ACTION_RESOURCE_TYPES[action];
+    if (resourceType && alert.resourceType !== resourceType) return false;
+    const alertTypes = ACTION_ALERT_TYPES[action];
+    if (alertTypes && !alertTypes.includes(alert.type)) return false;
+    if (action === 'revert') {
+      const remediation = alert.remediation;
+      return Boolean(remediation?.priorState && !remediation.revertedAt && !remediation.partial);
+    }
+    return true;
+  });
+}
+
+// `actor` is the signed-in user; every valid action is written to the audit
+// log, including failed attempts
+async function remediateAlert(alert, action, actor) {
+  const previousStatus = alert.status;
+  const invalid = transitionError(alert, action);
+  const result = invalid ? { success: false, message: invalid } : await runAction(alert, action);
+
+  logger.info(`Remediation "${action}" on alert ${alert.id}: ${result.message}`);
+  if (REMEDIATION_ACTIONS.includes(action)) {
+    auditRepository.record({
+      actor,
+      action,
+      alert,
+      previousStatus,
+      newStatus: alertRepository.findById(alert.id)?.status ?? previousStatus,
+      result
+    });
+  }
+  return result;
+}
+
+// Runs one action over many alerts, one at a time so Coda-side actions stay
+// within the client's rate limits. A failure on one alert does not stop the rest.
+async function remediateAlerts(alerts, action, actor) {
+  const results = [];
+  for (const alert of alerts) {
+    const result = await remediateAlert(alert, action, actor);
+    results.push({ id: alert.id, ...result });
+  }
+  return results;
+}
+
+module.exports = {
+  REMEDIATION_ACTIONS,
+  BULK_ACTIONS,
+  BROAD_PRINCIPAL_TYPES,
+  availableActions,
+  remediateAlert,
+  remediateAlerts
+};
@@ -0,0 +1,38 @@
+const logger = require('../config/logger');
+const scanRepository = require('../repositories/scanRepository');
+
+// Runs scans as background jobs. Only one scan runs at a time: cron and
+// manual triggers that arrive while one is in progress get the running scan
+// back instead of starting a second, overlapping one.
+let running = null; // { scan, promise }
+
+// `runner` receives { full, scan } and fills in the scan record as it goes
+function startScan(runner, { full = false, trigger = 'manual', requestedBy = null } = {}) {
+  if (running) return { started: false, scan: running.scan, promise: running.promise };
+
+  const scan = scanRepository.create({
+    mode: full ? 'full' : 'incremental',
+    trigger,
+    requestedBy,
+    status: 'running',
+    startedAt: new Date().toISOString()
+  });
+
+  const promise = runner({ full, scan })
+    .catch(error => {
+      // Already recorded on the scan by the runner
+      logger.error(`Scan ${scan.id} failed: ${error.message}`);
+    })
+    .finally(() => {
+      running = null;
+    });
+
+  running = { scan, promise };
+  return { started: true, scan, promise };
+}
+
+function currentScan() {
+  return running ? running.scan : null;
+}
+
+module.exports = { startScan, currentScan };
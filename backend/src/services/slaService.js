@@ -0,0 +1,38 @@
+const logger = require('../config/logger');
+const { SEVERITY_RANK } = require('../constants/alerts');
+
+// Days an alert may stay unresolved, by severity. ALERT_SLA_DAYS overrides
+// them, e.g. "critical=1,high=7"; a severity set to 0 gets no due date and
+// ALERT_SLA_DAYS=off turns due dates off altogether.
+const DEFAULT_SLA_DAYS = { critical: 3, high: 14, medium: 30, low: 90 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseSlaDays(value) {
+  if (!value) return { ...DEFAULT_SLA_DAYS };
+  if (value === 'off') return {};
+
+  const days = { ...DEFAULT_SLA_DAYS };
+  for (const part of value.split(',')) {
+    const [severity, count] = part.split('=').map(s => s.trim());
+    const parsed = Number(count);
+    if (!(severity in SEVERITY_RANK) || !Number.isFinite(parsed) || parsed < 0) {
+      logger.warn(`Ignoring invalid ALERT_SLA_DAYS entry "${part}"`);
+      continue;
+    }
+    days[severity] = parsed;
+  }
+  return days;
+}
+
+const SLA_DAYS = parseSlaDays(process.env.ALERT_SLA_DAYS);
+
+// ISO due date for an alert of `severity` raised (or reopened) at `from`,
+// or null when its severity has no SLA
+function dueDateFor(severity, from = new Date()) {
+  const days = SLA_DAYS[severity];
+  if (!days) return null;
+  return new Date(new Date(from).getTime() + days * DAY_MS).toISOString();
+}
+
+module.exports = { SLA_DAYS, dueDateFor };
@@ -0,0 +1,116 @@
+const alertRepository = require('../repositories/alertRepository');
+const suppressionRepository = require('../repositories/suppressionRepository');
+const { hashValue } = require('../scanner/valueHash');
+const { remediateAlert } = require('./remediationService');
+const { ALERT_TYPES, AUTO_RESOLVABLE_STATUSES } = require('../constants/alerts');
+
+const CRITERIA = ['docId', 'tableId', 'columnName', 'sensitiveType', 'alertType', 'valueHash'];
+
+// `ignore` still records the finding, as an ignored alert; `skip` drops it
+const SUPPRESSION_MODES = ['ignore', 'skip'];
+
+class SuppressionValidationError extends Error {
+  constructor(details) {
+    super(`Invalid suppression: ${details.join('; ')}`);
+    this.name = 'SuppressionValidationError';
+    this.details = details;
+  }
+}
+
+function validateSuppression(suppression) {
+  const errors = [];
+
+  for (const field of CRITERIA) {
+    if (suppression[field] !== undefined && (typeof suppression[field] !== 'string' || !suppression[field].trim())) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+  if (!CRITERIA.some(field => suppression[field])) {
+    errors.push(`at least one of ${CRITERIA.join(', ')} is required`);
+  }
+  if (suppression.alertType && !Object.values(ALERT_TYPES).includes(suppression.alertType)) {
+    errors.push(`alertType must be one of: ${Object.values(ALERT_TYPES).join(', ')}`);
+  }
+  if (suppression.valueHash && !/^[0-9a-f]{64}$/.test(suppression.valueHash)) {
+    errors.push('valueHash must be a hex SHA-256 digest');
+  }
+  if (typeof suppression.reason !== 'string' || !suppression.reason.trim()) {
+    errors.push('reason is required');
+  }
+  if (!SUPPRESSION_MODES.includes(suppression.mode)) {
+    errors.push(`mode must be one of: ${SUPPRESSION_MODES.join(', ')}`);
+  }
+  if (suppression.expiresAt !== undefined && suppression.expiresAt !== null &&
+      Number.isNaN(new Date(suppression.expiresAt).getTime())) {
+    errors.push('expiresAt must be an ISO date');
+  }
+
+  return errors;
+}
+
+// Keeps only known fields; a raw `value` is hashed and never stored
+function normalize(input) {
+  const suppression = {};
+  for (const field of CRITERIA) {
+    if (input[field] !== undefined && input[field] !== '') suppression[field] = input[field];
+  }
+  if (input.value !== undefined && input.value !== '') suppression.valueHash = hashValue(input.value);
+  suppression.reason = typeof input.reason === 'string' ? input.reason.trim() : input.reason;
+  suppression.mode = input.mode || 'ignore';
+  suppression.expiresAt = input.expiresAt || null;
+  return suppression;
+}
+
+// Ignores open and acknowledged alerts the new rule covers, through the
+// normal remediation path so each one lands in the audit log
+async function applyToExisting(suppression, actor) {
+  const matching = alertRepository.findByStatus(AUTO_RESOLVABLE_STATUSES)
+    .filter(alert => suppressionRepository.matches(suppression, alert));
+  for (const alert of matching) {
+    await remediateAlert(alert, 'ignore', actor);
+  }
+  return matching.length;
+}
+
+async function createSuppression(input, actor) {
+  if (input.value !== undefined && typeof input.value !== 'string') {
+    throw new SuppressionValidationError(['value must be a string']);
+  }
+  const suppression = normalize(input || {});
+  const errors = validateSuppression(suppression);
+  if (errors.length > 0) throw new SuppressionValidationError(errors);
+
+  const created = suppressionRepository.create({
+    ...suppression,
+    expiresAt: suppression.expiresAt ? new Date(suppression.expiresAt).toISOString() : null,
+    createdBy: actor ? actor.username : null
+  });
+  const alertsIgnored = input.applyToExisting === false ? 0 : await applyToExisting(created, actor);
+  return { suppression: created, alertsIgnored };
+}
+
+// Reason, mode and expiry can change; the criteria cannot (create a new rule)
+function updateSuppression(id, changes) {
+  const existing = suppressionRepository.findById(id);
+  if (!existing) return null;
+
+  const merged = { ...existing };
+  for (const field of ['reason', 'mode', 'expiresAt']) {
+    if (changes[field] !== undefined) merged[field] = changes[field];
+  }
+  const errors = validateSuppression(merged);
+  if (errors.length > 0) throw new SuppressionValidationError(errors);
+
+  return suppressionRepository.update(id, {
+    reason: merged.reason.trim(),
+    mode: merged.mode,
+    expiresAt: merged.expiresAt ? new Date(merged.expiresAt).toISOString() : null
+  });
+}
+
+module.exports = {
+  SUPPRESSION_MODES,
+  SuppressionValidationError,
+  createSuppression,
+  updateSuppression
+};
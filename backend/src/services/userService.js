@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const userRepository = require('../repositories/userRepository');
+const sessionRepository = require('../repositories/sessionRepository');
+const { hashPassword, verifyPassword } = require('../auth/passwords');
+const { ROLES } = require('../auth/roles');
+
+const MIN_PASSWORD_LENGTH = 10;
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{3,64}$/;
+
+class UserValidationError extends Error {
+  constructor(details) {
+    super(`Invalid user: ${details.join('; ')}`);
+    this.name = 'UserValidationError';
+    this.details = details;
+  }
+}
+
+function validateUser({ username, password, role }, { requirePassword }) {
+  const errors = [];
+  if (username !== undefined && !USERNAME_PATTERN.test(username)) {
+    errors.push('username must be 3-64 characters of letters, digits, ".", "_", "@" or "-"');
+  }
+  if ((requirePassword || password !== undefined) &&
+      (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    errors.push(`role must be one of: ${ROLES.join(', ')}`);
+  }
+  return errors;
+}
+
+function createLocalUser({ username, password, role = 'viewer', displayName, email }) {
+  const errors = validateUser({ username, password, role }, { requirePassword: true });
+  if (!username) errors.push('username is required');
+  if (username && userRepository.findByUsername(username)) errors.push(`user "${username}" already exists`);
+  if (errors.length > 0) throw new UserValidationError(errors);
+
+  return userRepository.create({
+    username,
+    displayName: displayName || username,
+    email,
+    role,
+    provider: 'local',
+    passwordHash: hashPassword(password)
+  });
+}
+
+// Role, password, display name and disabled flag can change; a changed
+// password or disabling the account ends the user's sessions
+function updateUser(id, { password, role, displayName, disabled }) {
+  const user = userRepository.findById(id);
+  if (!user) return null;
+
+  const errors = validateUser({ password, role }, { requirePassword: false });
+  if (password !== undefined && user.provider !== 'local') errors.push('only local users have a password');
+  if (disabled !== undefined && typeof disabled !== 'boolean') errors.push('disabled must be a boolean');
+  if (errors.length > 0) throw new UserValidationError(errors);
+
+  const changes = {};
+  if (role !== undefined) changes.role = role;
+  if (displayName !== undefined) changes.displayName = displayName;
+  if (disabled !== undefined) changes.disabled = disabled;
+  if (password !== undefined) changes.passwordHash = hashPassword(password);
+
+  const updated = userRepository.update(id, changes);
+  if (password !== undefined || disabled === true) sessionRepository.revokeForUser(id);
+  return updated;
+}
+
+function deleteUser(id) {
+  sessionRepository.revokeForUser(id);
+  return userRepository.remove(id);
+}
+
+function authenticateLocal(username, password) {
+  const user = userRepository.findByUsername(username);
+  if (!user || user.disabled || !verifyPassword(password, user.passwordHash)) return null;
+  return userRepository.update(user.id, { lastLoginAt: new Date().toISOString() });
+}
+
+// OIDC users are created on first login and their role follows the IdP claims
+function upsertOidcUser({ subject, email, displayName, role }) {
+  const existing = userRepository.findBySubject('oidc', subject);
+  const fields = { email, displayName, role, lastLoginAt: new Date().toISOString() };
+  if (existing) return userRepository.update(existing.id, fields);
+  return userRepository.create({ username: email || subject, subject, provider: 'oidc', ...fields });
+}
+
+// Makes sure a fresh install can be logged into. Uses ADMIN_USERNAME /
+// ADMIN_PASSWORD when set, otherwise generates a password. A generated
+// password is printed to stdout once and never goes through the logger, whose
+// files outlive the first login. Returns false when the configured
+// credentials are unusable, without stopping the server.
+function ensureBootstrapAdmin() {
+  if (userRepository.count() > 0) return true;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const configured = process.env.ADMIN_PASSWORD;
+  const password = configured || crypto.randomBytes(12).toString('base64url');
+
+  try {
+    createLocalUser({ username, password, role: 'admin' });
+  } catch (error) {
+    if (!(error instanceof UserValidationError)) throw error;
+    const fields = configured ? 'ADMIN_USERNAME / ADMIN_PASSWORD' : 'ADMIN_USERNAME';
+    logger.error(`No users exist and the initial admin could not be created from ${fields}: ` +
+      `${error.details.join('; ')}. Fix ${fields} and restart; nobody can log in until then.`);
+    return false;
+  }
+
+  if (configured) {
+    logger.info(`No users exist - created admin user "${username}" from ADMIN_USERNAME/ADMIN_PASSWORD`);
+  } else {
+    process.stdout.write(`\nNo users exist - created "${username}" with generated password: ${password}\n` +
+      'It is shown only this once; change it after first login.\n\n');
+    logger.warn(`No users exist - created "${username}" with a generated password (printed to stdout only)`);
+  }
+  return true;
+}
+
+module.exports = {
+  UserValidationError,
+  createLocalUser,
+  updateUser,
+  deleteUser,
+  authenticateLocal,
+  upsertOidcUser,
+  ensureBootstrapAdmin
+};
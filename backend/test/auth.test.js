@@ -0,0 +1,172 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers/quietLogger');
+const { startStubServer } = require('./helpers/stubServer');
+
+// Drives the API routes over HTTP with a stub OpenID provider
+let idp;
+let nonces;
+let server;
+let baseUrl;
+let dataDir;
+let db;
+
+const base64Url = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+before(async () => {
+  nonces = [];
+  idp = await startStubServer(req => {
+    if (req.path === '/.well-known/openid-configuration') {
+      return { body: { issuer: idp.url, authorization_endpoint: `${idp.url}/authorize`, token_endpoint: `${idp.url}/token` } };
+    }
+    const claims = { iss: idp.url, aud: 'securecoda', sub: 'idp-1', email: 'sso@example.com', exp: Math.floor(Date.now() / 1000) + 60, nonce: nonces.shift() };
+    return { body: { id_token: `${base64Url({ alg: 'RS256' })}.${base64Url(claims)}.c2ln` } };
+  });
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securecoda-auth-'));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    RULES_FILE: path.join(dataDir, 'rules.json'),
+    ADMIN_USERNAME: 'admin',
+    ADMIN_PASSWORD: 'correct-horse-battery',
+    LOGIN_MAX_ATTEMPTS: '3',
+    FRONTEND_URL: 'http://dashboard.test',
+    OIDC_ISSUER: idp.url,
+    OIDC_CLIENT_ID: 'securecoda'
+  });
+
+  const { app } = require('../src/index');
+  db = require('../src/db');
+  const userService = require('../src/services/userService');
+  db.load();
+  userService.ensureBootstrapAdmin();
+  userService.createLocalUser({ username: 'viewer', password: 'viewer-password', role: 'viewer' });
+  userService.createLocalUser({ username: 'analyst', password: 'analyst-password', role: 'analyst' });
+  userService.createLocalUser({ username: 'victim', password: 'victim-password', role: 'viewer' });
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await idp.close();
+  db.flush();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function request(method, url, { token, body } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  return fetch(`${baseUrl}${url}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body), redirect: 'manual' });
+}
+
+const login = (username, password) => request('POST', '/api/auth/login', { body: { username, password } });
+
+async function tokenFor(username, password) {
+  const response = await login(username, password);
+  assert.equal(response.status, 200);
+  return (await response.json()).token;
+}
+
+test('local login verifies the scrypt password hash', async () => {
+  const admin = db.getState().users.find(u => u.username === 'admin');
+  assert.match(admin.passwordHash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+
+  assert.equal((await login('admin', 'wrong-password')).status, 401);
+  assert.equal((await login('nobody', 'correct-horse-battery')).status, 401);
+  assert.equal((await request('POST', '/api/auth/login', { body: {} })).status, 400);
+
+  const response = await login('admin', 'correct-horse-battery');
+  assert.equal(response.status, 200);
+  const session = await response.json();
+  assert.equal(session.user.role, 'admin');
+  assert.equal(session.user.passwordHash, undefined);
+});
+
+test('sessions are looked up by token hash and end on logout', async () => {
+  const token = await tokenFor('viewer', 'viewer-password');
+  const hash = crypto.createHash('sha256').update(token).digest('hex');
+  const stored = JSON.stringify(db.getState().sessions);
+  assert.ok(stored.includes(hash));
+  assert.ok(!stored.includes(token));
+
+  const me = await request('GET', '/api/auth/me', { token });
+  assert.equal(me.status, 200);
+  assert.equal((await me.json()).username, 'viewer');
+  assert.equal((await request('GET', '/api/alerts', { token: hash })).status, 401);
+  assert.equal((await request('GET', '/api/alerts')).status, 401);
+
+  assert.equal((await request('POST', '/api/auth/logout', { token })).status, 200);
+  assert.equal((await request('GET', '/api/auth/me', { token })).status, 401);
+});
+
+test('remediation needs analyst and deleting needs admin', async () => {
+  const viewer = await tokenFor('viewer', 'viewer-password');
+  const analyst = await tokenFor('analyst', 'analyst-password');
+  const admin = await tokenFor('admin', 'correct-horse-battery');
+
+  let response = await request('POST', '/api/alerts/999/remediate', { token: viewer, body: { action: 'unpublish' } });
+  assert.equal(response.status, 403);
+  assert.deepEqual(await response.json(), { error: 'Requires analyst role' });
+
+  response = await request('POST', '/api/alerts/999/remediate', { token: analyst, body: { action: 'delete' } });
+  assert.equal(response.status, 403);
+  assert.deepEqual(await response.json(), { error: 'Requires admin role' });
+
+  // Past the role checks, the missing alert is what stops these
+  assert.equal((await request('POST', '/api/alerts/999/remediate', { token: analyst, body: { action: 'unpublish' } })).status, 404);
+  assert.equal((await request('POST', '/api/alerts/999/remediate', { token: admin, body: { action: 'delete' } })).status, 404);
+
+  assert.equal((await request('GET', '/api/users', { token: analyst })).status, 403);
+  assert.equal((await request('GET', '/api/users', { token: admin })).status, 200);
+});
+
+test('repeated failed logins lock the account out for this client', async () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await login('victim', 'guess-number-' + i)).status, 401);
+  }
+
+  const response = await login('victim', 'victim-password');
+  assert.equal(response.status, 429);
+  assert.ok(Number(response.headers.get('retry-after')) > 0);
+  // Other accounts from the same client are unaffected
+  assert.equal((await login('viewer', 'viewer-password')).status, 200);
+});
+
+test('OIDC callbacks only complete for a state this server issued', async () => {
+  const start = await request('GET', '/api/auth/oidc/login');
+  assert.equal(start.status, 302);
+  const params = new URL(start.headers.get('location')).searchParams;
+  nonces.push(params.get('nonce'));
+
+  const forged = await request('GET', '/api/auth/oidc/callback?code=abc&state=forged');
+  assert.equal(forged.headers.get('location'), 'http://dashboard.test/#loginError=oidc_failed');
+  assert.ok(!idp.requests.some(r => r.path === '/token'));
+
+  const callback = `/api/auth/oidc/callback?code=abc&state=${params.get('state')}`;
+  const completed = await request('GET', callback);
+  const [, token] = completed.headers.get('location').match(/^http:\/\/dashboard\.test\/#token=(.+)$/);
+  const me = await request('GET', '/api/auth/me', { token: decodeURIComponent(token) });
+  assert.equal((await me.json()).username, 'sso@example.com');
+
+  // A state is single-use
+  const replayed = await request('GET', callback);
+  assert.equal(replayed.headers.get('location'), 'http://dashboard.test/#loginError=oidc_failed');
+});
+
+test('remediation without a known action is a bad request', async () => {
+  const analyst = await tokenFor('analyst', 'analyst-password');
+
+  let response = await request('POST', '/api/alerts/999/remediate', { token: analyst });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /^action must be one of: delete, redact/);
+
+  response = await request('POST', '/api/alerts/999/remediate', { token: analyst, body: { action: 'shred' } });
+  assert.equal(response.status, 400);
+});
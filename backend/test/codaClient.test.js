@@ -0,0 +1,125 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/quietLogger');
+const { startStubServer } = require('./helpers/stubServer');
+
+// The client reads its configuration when loaded, so the stub Coda server is
+// started first and every test swaps in its own handler
+let handler;
+let coda;
+let client;
+let CODA_ERROR_CODES;
+
+before(async () => {
+  coda = await startStubServer(req => handler(req));
+  process.env.CODA_BASE_URL = coda.url;
+  process.env.CODA_RETRY_BASE_MS = '1';
+  process.env.CODA_MAX_RETRIES = '3';
+  client = require('../src/coda/client');
+  ({ CODA_ERROR_CODES } = require('../src/coda/errors'));
+});
+
+after(() => coda.close());
+
+beforeEach(() => {
+  coda.requests.length = 0;
+});
+
+test('follows nextPageToken until the listing is exhausted', async () => {
+  const pages = {
+    '': { items: [{ id: 'doc1' }, { id: 'doc2' }], nextPageToken: 'p2' },
+    p2: { items: [{ id: 'doc3' }], nextPageToken: 'p3' },
+    p3: { items: [{ id: 'doc4' }] }
+  };
+  handler = req => ({ body: pages[req.query.pageToken || ''] });
+
+  const docs = await client.fetchDocumentsFromCoda();
+
+  assert.deepEqual(docs.map(d => d.id), ['doc1', 'doc2', 'doc3', 'doc4']);
+  assert.deepEqual(coda.requests.map(r => r.query.pageToken), [undefined, 'p2', 'p3']);
+  assert.ok(coda.requests.every(r => r.query.limit === '50'));
+});
+
+test('waits for Retry-After on 429 before retrying', async () => {
+  let calls = 0;
+  handler = () => (++calls === 1
+    ? { status: 429, headers: { 'Retry-After': '1' }, body: { message: 'Too many requests' } }
+    : { body: { items: [{ id: 'tbl1' }] } });
+
+  const startedAt = Date.now();
+  const tables = await client.fetchTablesFromCoda('doc1');
+
+  assert.deepEqual(tables, [{ id: 'tbl1' }]);
+  assert.equal(coda.requests.length, 2);
+  assert.ok(Date.now() - startedAt >= 950, 'retried before Retry-After elapsed');
+});
+
+test('retries 5xx responses and gives up with a transient CodaApiError', async () => {
+  handler = () => ({ status: 503, body: { message: 'Service unavailable' } });
+
+  await assert.rejects(client.fetchRowsFromCoda('doc1', 'tbl1'), error => {
+    assert.equal(error.name, 'CodaApiError');
+    assert.equal(error.code, CODA_ERROR_CODES.SERVER_ERROR);
+    assert.equal(error.status, 503);
+    assert.equal(error.attempts, 4);
+    assert.equal(error.isTransient, true);
+    return true;
+  });
+  assert.equal(coda.requests.length, 4);
+});
+
+test('recovers when a 5xx is followed by success', async () => {
+  let calls = 0;
+  handler = () => (++calls < 3 ? { status: 502, body: {} } : { body: { items: [{ id: 'page1' }] } });
+
+  assert.deepEqual(await client.fetchPagesFromCoda('doc1'), [{ id: 'page1' }]);
+  assert.equal(coda.requests.length, 3);
+});
+
+test('does not retry client errors', async () => {
+  handler = () => ({ status: 403, body: { message: 'Forbidden' } });
+
+  await assert.rejects(client.fetchTablesFromCoda('doc1'), error => {
+    assert.equal(error.code, CODA_ERROR_CODES.CLIENT_ERROR);
+    assert.equal(error.status, 403);
+    assert.equal(error.message, 'Forbidden');
+    assert.equal(error.isTransient, false);
+    return true;
+  });
+  assert.equal(coda.requests.length, 1);
+});
+
+test('a retried DELETE that finds the row gone counts as done', async () => {
+  let calls = 0;
+  // The first delete goes through but its response is lost
+  handler = () => (++calls === 1 ? { status: 502, body: {} } : { status: 404, body: { message: 'Row not found' } });
+
+  assert.equal(await client.deleteRowFromCoda('doc1', 'tbl1', 'row1'), true);
+  assert.equal(coda.requests.length, 2);
+  assert.ok(coda.requests.every(r => r.method === 'DELETE'));
+});
+
+test('a DELETE that 404s on the first attempt still fails', async () => {
+  handler = () => ({ status: 404, body: { message: 'Row not found' } });
+
+  await assert.rejects(client.deleteRowFromCoda('doc1', 'tbl1', 'row1'), { code: CODA_ERROR_CODES.CLIENT_ERROR });
+  assert.equal(coda.requests.length, 1);
+});
+
+test('POSTs are not retried on 5xx, since Coda may have applied them', async () => {
+  handler = () => ({ status: 500, body: { message: 'Internal error' } });
+
+  await assert.rejects(
+    client.addPermissionInCoda('doc1', { access: 'readonly', principal: { type: 'email', email: 'a@example.com' } }),
+    { code: CODA_ERROR_CODES.SERVER_ERROR, attempts: 1 }
+  );
+  assert.equal(coda.requests.length, 1);
+});
+
+test('POSTs are retried on 429', async () => {
+  let calls = 0;
+  handler = () => (++calls === 1 ? { status: 429, headers: { 'Retry-After': '0' }, body: {} } : { status: 202, body: {} });
+
+  assert.equal(await client.addPermissionInCoda('doc1', { access: 'readonly', principal: { type: 'email', email: 'a@example.com' } }), true);
+  assert.equal(coda.requests.length, 2);
+});
@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers/quietLogger');
+
+let dataDir;
+let db;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securecoda-db-'));
+  process.env.DATA_DIR = dataDir;
+  process.env.DB_SAVE_DELAY_MS = '50';
+  db = require('../src/db');
+  db.load();
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const stored = () => JSON.parse(fs.readFileSync(db.DATA_FILE, 'utf8'));
+
+test('saves are batched into one delayed write', async () => {
+  const writes = [];
+  const watcher = fs.watch(dataDir, (event, file) => file === 'securecoda.json' && writes.push(event));
+
+  for (let i = 0; i < 100; i++) {
+    db.getState().alerts.push({ id: db.nextId('alert') });
+    db.save();
+  }
+  assert.equal(stored().alerts.length, 0);
+
+  await new Promise(resolve => setTimeout(resolve, 150));
+  watcher.close();
+  assert.equal(stored().alerts.length, 100);
+  assert.ok(writes.length <= 2, `expected one write, saw ${writes.length} events`);
+});
+
+test('flush writes pending changes immediately', () => {
+  db.getState().alerts.length = 0;
+  db.save();
+  db.flush();
+  assert.equal(stored().alerts.length, 0);
+});
@@ -0,0 +1,120 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers/quietLogger');
+
+let dataDir;
+let exportAlerts;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securecoda-export-'));
+  process.env.DATA_DIR = dataDir;
+  process.env.RULES_FILE = path.join(dataDir, 'rules.json');
+  ({ exportAlerts } = require('../src/services/exportService'));
+});
+
+after(() => {
+  const ruleStore = require('../src/scanner/ruleStore');
+  fs.unwatchFile(ruleStore.RULES_FILE);
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const rowAlert = {
+  id: 7,
+  type: 'sensitive_data',
+  severity: 'high',
+  status: 'open',
+  title: 'Credit Card Number detected',
+  description: 'Found in column "Card"',
+  docId: 'doc1',
+  docName: 'Payments',
+  resourceType: 'row',
+  resourceId: 'i-1',
+  metadata: { sensitiveType: 'creditCard', tableId: 'grid-1', tableName: 'Cards', columnId: 'c-card', columnName: 'Card', confidence: 0.95, valueHashes: ['abc'] }
+};
+
+const sharingAlert = {
+  id: 8,
+  type: 'link_sharing',
+  severity: 'medium',
+  status: 'ignored',
+  suppressedBy: 3,
+  title: 'Link sharing enabled',
+  description: 'Anyone with the link can view',
+  docId: 'doc2',
+  docName: 'Roadmap',
+  resourceType: 'document',
+  resourceId: 'doc2',
+  metadata: {}
+};
+
+test('CSV cells that a spreadsheet would run as a formula are defused', () => {
+  const cases = [
+    ['=HYPERLINK("http://evil.test")', '"\'=HYPERLINK(""http://evil.test"")"'],
+    ['+1+1', "'+1+1"],
+    ['-2+3', "'-2+3"],
+    ['@SUM(A1)', "'@SUM(A1)"],
+    ['\t=1+1', "'\t=1+1"],
+    ['\r=1+1', '"\'\r=1+1"'],
+    ['Payments, Q3', '"Payments, Q3"'],
+    ['Plain name', 'Plain name']
+  ];
+  for (const [docName, cell] of cases) {
+    const { body } = exportAlerts([{ ...rowAlert, docName }], 'csv');
+    const row = body.split('\r\n')[1];
+    assert.ok(row.includes(`,${cell},`), `${JSON.stringify(docName)} -> ${row}`);
+  }
+});
+
+test('CSV export has a header row and a line per alert', () => {
+  const { body, contentType, filename } = exportAlerts([rowAlert, sharingAlert], 'csv');
+  const lines = body.split('\r\n');
+  assert.match(lines[0], /^id,status,severity,type,title,/);
+  assert.equal(lines.length, 4);
+  assert.equal(lines[3], '');
+  assert.equal(contentType, 'text/csv; charset=utf-8');
+  assert.match(filename, /^securecoda-alerts-\d{4}-\d{2}-\d{2}\.csv$/);
+});
+
+test('JSON export leaves out value hashes', () => {
+  const exported = JSON.parse(exportAlerts([rowAlert], 'json', { status: 'open' }).body);
+  assert.equal(exported.total, 1);
+  assert.deepEqual(exported.filters, { status: 'open' });
+  assert.equal(exported.alerts[0].metadata.valueHashes, undefined);
+  assert.equal(exported.alerts[0].metadata.columnName, 'Card');
+});
+
+test('SARIF export follows the 2.1.0 log shape', () => {
+  const duplicate = { ...rowAlert, id: 9, resourceId: 'i-2' };
+  const { body, contentType } = exportAlerts([rowAlert, sharingAlert, duplicate], 'sarif');
+  const log = JSON.parse(body);
+
+  assert.equal(contentType, 'application/sarif+json; charset=utf-8');
+  assert.equal(log.version, '2.1.0');
+  assert.equal(log.$schema, 'https://json.schemastore.org/sarif-2.1.0.json');
+  assert.equal(log.runs.length, 1);
+  const [{ tool, results }] = log.runs;
+  assert.equal(tool.driver.name, 'SecureCoda');
+  assert.equal(typeof tool.driver.version, 'string');
+
+  // One rule per detector or alert type, referenced by index
+  assert.deepEqual(tool.driver.rules.map(r => r.id), ['creditCard', 'link_sharing']);
+  assert.deepEqual(results.map(r => [r.ruleId, r.ruleIndex]), [['creditCard', 0], ['link_sharing', 1], ['creditCard', 0]]);
+  const [cardRule] = tool.driver.rules;
+  assert.equal(cardRule.shortDescription.text, 'Credit Card Number detected in Coda content');
+  assert.equal(cardRule.defaultConfiguration.level, 'error');
+  assert.equal(cardRule.properties['security-severity'], '8.0');
+
+  const [card, link] = results;
+  assert.equal(card.level, 'error');
+  assert.equal(link.level, 'warning');
+  assert.equal(card.message.text, 'Credit Card Number detected. Found in column "Card"');
+  assert.equal(card.locations[0].physicalLocation.artifactLocation.uri, 'https://coda.io/d/_ddoc1');
+  assert.deepEqual(card.locations[0].logicalLocations.map(l => l.kind), ['document', 'table', 'cell']);
+  assert.equal(typeof card.partialFingerprints['secureCodaFinding/v1'], 'string');
+  assert.notEqual(card.partialFingerprints['secureCodaFinding/v1'], results[2].partialFingerprints['secureCodaFinding/v1']);
+  assert.equal(card.suppressions, undefined);
+  assert.deepEqual(link.suppressions, [{ kind: 'external', status: 'accepted', justification: 'Suppression rule 3' }]);
+});
@@ -0,0 +1,2 @@
+// Keeps test output readable; the code under test logs a lot
+require('../../src/config/logger').silent = true;
@@ -0,0 +1,51 @@
+const net = require('net');
+
+// Just enough SMTP to accept mail from nodemailer; each message is recorded
+// as { from, to, data }
+async function startSmtpStub() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let message = { to: [] };
+    let inData = false;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 stub ESMTP');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(message);
+            message = { to: [] };
+            reply('250 queued');
+          } else {
+            message.data = (message.data || '') + `${line}\n`;
+          }
+          continue;
+        }
+
+        if (/^(EHLO|HELO)/i.test(line)) reply('250 stub');
+        else if (/^MAIL FROM:/i.test(line)) { message.from = line.slice(10).trim(); reply('250 ok'); }
+        else if (/^RCPT TO:/i.test(line)) { message.to.push(line.slice(8).trim()); reply('250 ok'); }
+        else if (/^DATA/i.test(line)) { inData = true; reply('354 end with .'); }
+        else if (/^QUIT/i.test(line)) { reply('221 bye'); socket.end(); }
+        else reply('250 ok');
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startSmtpStub };
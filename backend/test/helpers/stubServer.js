@@ -0,0 +1,42 @@
+const http = require('http');
+
+// Local HTTP server standing in for Coda, Slack, webhooks etc. Each request
+// is recorded and answered by `handler(req, body)`, which returns
+// { status, headers, body } (body objects are sent as JSON).
+async function startStubServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const recorded = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body: raw };
+      requests.push(recorded);
+
+      const { status = 200, headers = {}, body = '' } = (await handler(recorded)) || {};
+      const payload = typeof body === 'string' ? body : JSON.stringify(body);
+      res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json', ...headers });
+      res.end(payload);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Notifications are sent in the background; polls until `check` passes
+async function waitFor(check, { timeoutMs = 3000, intervalMs = 10 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+module.exports = { startStubServer, waitFor };
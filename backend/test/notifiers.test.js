@@ -0,0 +1,136 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+require('./helpers/quietLogger');
+const { startStubServer, waitFor } = require('./helpers/stubServer');
+const { startSmtpStub } = require('./helpers/smtpStub');
+
+const SECRET = 'webhook-secret';
+
+// Slack: immediate, high and up. Email: immediate, critical only.
+// Webhook: digest per scan, everything. Configured before the notifiers load.
+let hooks;
+let smtp;
+let webhookResponses;
+let notifier;
+let sign;
+
+function alert(id, severity, overrides = {}) {
+  return {
+    id,
+    type: 'sensitive_data_table',
+    severity,
+    title: `Finding ${id}`,
+    description: `Detected in row ${id}`,
+    docId: 'doc1',
+    docName: 'Doc 1',
+    resourceType: 'row',
+    resourceId: `row${id}`,
+    createdAt: '2026-10-19T00:00:00.000Z',
+    metadata: { valueHashes: ['secret-hash'] },
+    ...overrides
+  };
+}
+
+const delivered = path => hooks.requests.filter(r => r.path === path);
+
+before(async () => {
+  hooks = await startStubServer(req => (req.path === '/webhook' ? webhookResponses.shift() || { body: 'ok' } : { body: 'ok' }));
+  smtp = await startSmtpStub();
+
+  Object.assign(process.env, {
+    SLACK_WEBHOOK_URL: `${hooks.url}/slack`,
+    SLACK_MIN_SEVERITY: 'high',
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtp.port),
+    NOTIFY_EMAIL_TO: 'security@example.com',
+    EMAIL_MIN_SEVERITY: 'critical',
+    NOTIFY_WEBHOOK_URL: `${hooks.url}/webhook`,
+    NOTIFY_WEBHOOK_SECRET: SECRET,
+    WEBHOOK_MODE: 'digest',
+    WEBHOOK_MIN_SEVERITY: 'low',
+    NOTIFY_MAX_ATTEMPTS: '3',
+    NOTIFY_RETRY_BASE_MS: '1'
+  });
+  notifier = require('../src/notifiers');
+  ({ sign } = require('../src/notifiers/webhook'));
+});
+
+after(async () => {
+  await hooks.close();
+  await smtp.close();
+});
+
+beforeEach(() => {
+  hooks.requests.length = 0;
+  smtp.messages.length = 0;
+  webhookResponses = [];
+});
+
+test('immediate channels get one message per alert at or above their severity', async () => {
+  notifier.alertCreated(alert(1, 'high'));
+  notifier.alertCreated(alert(2, 'medium'));
+  notifier.alertCreated(alert(3, 'critical'));
+
+  await waitFor(() => delivered('/slack').length === 2 && smtp.messages.length === 1);
+
+  const texts = delivered('/slack').map(r => JSON.parse(r.body).text);
+  assert.ok(texts.some(text => text.includes('[HIGH] Finding 1 (Doc 1)')));
+  assert.ok(texts.some(text => text.includes('[CRITICAL] Finding 3 (Doc 1)')));
+  assert.ok(!texts.some(text => text.includes('Finding 2')));
+  // No FRONTEND_URL: links point at the dashboard this backend serves
+  assert.ok(texts.every(text => text.includes('<http://localhost:3001|Open the alerts dashboard>')));
+
+  assert.deepEqual(smtp.messages[0].to, ['<security@example.com>']);
+  assert.match(smtp.messages[0].data, /Subject: \[SecureCoda\] \[CRITICAL\] Finding 3 \(Doc 1\)/);
+});
+
+test('digest channels get one signed delivery per scan', async () => {
+  notifier.startScan();
+  notifier.alertCreated(alert(4, 'low'));
+  notifier.alertCreated(alert(5, 'critical'));
+  assert.equal(delivered('/webhook').length, 0);
+
+  notifier.finishScan({ id: 7, alertsCreated: 2 });
+  await waitFor(() => delivered('/webhook').length === 1);
+
+  const [request] = delivered('/webhook');
+  const payload = JSON.parse(request.body);
+  assert.equal(payload.event, 'alerts.created');
+  assert.deepEqual(payload.scan, { id: 7, alertsCreated: 2 });
+  // Most severe first, and no metadata (value hashes) leaves the system
+  assert.deepEqual(payload.alerts.map(a => a.id), [5, 4]);
+  assert.equal(payload.alerts[0].metadata, undefined);
+
+  const timestamp = request.headers['x-securecoda-timestamp'];
+  const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+  assert.equal(request.headers['x-securecoda-signature'], `sha256=${expected}`);
+  assert.equal(sign(SECRET, timestamp, request.body), expected);
+});
+
+test('failed deliveries are retried with backoff', async () => {
+  webhookResponses = [{ status: 500 }, { status: 503 }];
+
+  notifier.startScan();
+  notifier.alertCreated(alert(6, 'medium'));
+  notifier.finishScan({ id: 8 });
+
+  await waitFor(() => delivered('/webhook').length === 3);
+  // Every attempt is signed afresh and carries the same alerts
+  for (const request of delivered('/webhook')) {
+    assert.deepEqual(JSON.parse(request.body).alerts.map(a => a.id), [6]);
+    assert.match(request.headers['x-securecoda-signature'], /^sha256=[0-9a-f]{64}$/);
+  }
+});
+
+test('gives up after NOTIFY_MAX_ATTEMPTS', async () => {
+  webhookResponses = [{ status: 500 }, { status: 500 }, { status: 500 }, { status: 500 }];
+
+  notifier.startScan();
+  notifier.alertCreated(alert(9, 'high'));
+  notifier.finishScan({ id: 9 });
+
+  await waitFor(() => delivered('/webhook').length === 3);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(delivered('/webhook').length, 3);
+});
@@ -0,0 +1,137 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers/quietLogger');
+const { startStubServer } = require('./helpers/stubServer');
+
+// Runs restrict_sharing against a stub Coda ACL and a throwaway data store
+let coda;
+let permissions;
+let failDeletes;
+let dataDir;
+let alertRepository;
+let remediation;
+
+before(async () => {
+  coda = await startStubServer(req => {
+    if (req.method === 'GET') return { body: { items: permissions } };
+    const id = req.path.split('/').pop();
+    if (failDeletes.includes(id)) return { status: 403, body: { message: 'Forbidden' } };
+    permissions = permissions.filter(p => p.id !== id);
+    return { status: 202, body: {} };
+  });
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securecoda-test-'));
+  Object.assign(process.env, {
+    CODA_BASE_URL: coda.url,
+    CODA_RETRY_BASE_MS: '1',
+    DATA_DIR: dataDir,
+    ALLOWED_DOMAINS: 'example.com'
+  });
+  alertRepository = require('../src/repositories/alertRepository');
+  remediation = require('../src/services/remediationService');
+});
+
+after(async () => {
+  await coda.close();
+  require('../src/db').flush();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  coda.requests.length = 0;
+  failDeletes = [];
+  permissions = [
+    { id: 'p1', access: 'readonly', principal: { type: 'anyone' } },
+    { id: 'p2', access: 'write', principal: { type: 'email', email: 'contractor@partner.io' } },
+    { id: 'p3', access: 'write', principal: { type: 'email', email: 'colleague@example.com' } }
+  ];
+});
+
+function sharingAlert(type) {
+  return alertRepository.create({
+    type,
+    severity: 'high',
+    status: 'open',
+    title: 'Shared',
+    docId: 'doc1',
+    docName: 'Doc 1',
+    resourceId: 'doc1',
+    resourceType: 'document',
+    metadata: {}
+  });
+}
+
+const actor = { id: 1, username: 'admin' };
+
+test('restrict_sharing on an external-sharing alert removes external principals', async () => {
+  const alert = sharingAlert('external_sharing');
+
+  const result = await remediation.remediateAlert(alert, 'restrict_sharing', actor);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(permissions.map(p => p.id), ['p3']);
+  const stored = alertRepository.findById(alert.id);
+  assert.equal(stored.status, 'remediated');
+  assert.deepEqual(stored.remediation.priorState.removedPermissions.map(p => p.principal.type), ['anyone', 'email']);
+});
+
+test('a failed delete keeps the alert open and records what was removed', async () => {
+  const alert = sharingAlert('external_sharing');
+  failDeletes = ['p2'];
+
+  const result = await remediation.remediateAlert(alert, 'restrict_sharing', actor);
+
+  assert.equal(result.success, false);
+  assert.equal(result.partial, true);
+  assert.match(result.message, /Removed 1 of 2/);
+  let stored = alertRepository.findById(alert.id);
+  assert.equal(stored.status, 'open');
+  assert.equal(stored.remediation.partial, true);
+  assert.ok(!remediation.availableActions(stored).includes('revert'));
+
+  // A retry finishes the job and remembers both removals for revert
+  failDeletes = [];
+  assert.equal((await remediation.remediateAlert(stored, 'restrict_sharing', actor)).success, true);
+  stored = alertRepository.findById(alert.id);
+  assert.equal(stored.status, 'remediated');
+  assert.equal(stored.remediation.partial, undefined);
+  assert.deepEqual(stored.remediation.priorState.removedPermissions.map(p => p.principal.type), ['anyone', 'email']);
+});
+
+test('link-sharing alerts leave named external principals alone', async () => {
+  const alert = sharingAlert('link_sharing');
+
+  assert.equal((await remediation.remediateAlert(alert, 'restrict_sharing', actor)).success, true);
+  assert.deepEqual(permissions.map(p => p.id), ['p2', 'p3']);
+});
+
+test('domain grants are only removed for domains outside ALLOWED_DOMAINS', async () => {
+  permissions = [
+    { id: 'p1', access: 'readonly', principal: { type: 'domain', domain: 'example.com' } },
+    { id: 'p2', access: 'readonly', principal: { type: 'domain', domain: 'partner.io' } }
+  ];
+  const alert = sharingAlert('excessive_editors');
+
+  assert.equal((await remediation.remediateAlert(alert, 'restrict_sharing', actor)).success, true);
+  assert.deepEqual(permissions.map(p => p.id), ['p1']);
+});
+
+test('document actions are only offered and run for the alert types they fix', async () => {
+  const actionsFor = type => remediation.availableActions(sharingAlert(type));
+
+  assert.ok(!actionsFor('unused_document').includes('unpublish'));
+  assert.ok(!actionsFor('unused_document').includes('restrict_sharing'));
+  assert.ok(actionsFor('public_document').includes('unpublish'));
+  assert.ok(!actionsFor('public_document').includes('restrict_sharing'));
+  assert.ok(actionsFor('link_sharing').includes('restrict_sharing'));
+  assert.ok(!actionsFor('link_sharing').includes('unpublish'));
+
+  const published = sharingAlert('public_document');
+  const result = await remediation.remediateAlert(published, 'restrict_sharing', actor);
+  assert.equal(result.success, false);
+  assert.match(result.message, /only supported for link sharing, external sharing, excessive editors alerts/);
+  assert.equal(alertRepository.findById(published.id).status, 'open');
+  assert.equal(coda.requests.length, 0);
+});
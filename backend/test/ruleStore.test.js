@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+require('./helpers/quietLogger');
+const { waitFor } = require('./helpers/stubServer');
+
+// A hand-written YAML rules file; the store polls it every 2s
+let dataDir;
+let rulesFile;
+let ruleStore;
+const changes = [];
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securecoda-rules-'));
+  rulesFile = path.join(dataDir, 'rules.yaml');
+  process.env.DATA_DIR = dataDir;
+  process.env.RULES_FILE = rulesFile;
+  fs.writeFileSync(rulesFile, [
+    'version: 3',
+    'rules:',
+    '  # Internal employee ids',
+    '  - id: employeeId',
+    '    name: Employee ID',
+    "    pattern: '\\bEMP-\\d{6}\\b'",
+    '    severity: low'
+  ].join('\n'));
+
+  ruleStore = require('../src/scanner/ruleStore');
+  ruleStore.onChange(() => changes.push(Date.now()));
+});
+
+after(() => {
+  fs.unwatchFile(rulesFile);
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('loads rules from a YAML file', () => {
+  assert.deepEqual(ruleStore.list().map(r => r.id), ['employeeId']);
+  assert.equal(ruleStore.get('employeeId').pattern, '\\bEMP-\\d{6}\\b');
+});
+
+test('API changes are written back as YAML and announced once', async () => {
+  ruleStore.create({ id: 'ticket', name: 'Ticket token', pattern: 'TKT-[0-9]{8}', severity: 'medium' });
+  assert.equal(changes.length, 1);
+  assert.deepEqual(YAML.parse(fs.readFileSync(rulesFile, 'utf8')).rules.map(r => r.id), ['employeeId', 'ticket']);
+
+  // Give the watcher a poll to notice the write
+  await new Promise(resolve => setTimeout(resolve, 2500));
+  assert.equal(changes.length, 1);
+});
+
+test('hand edits are reloaded', async () => {
+  const contents = YAML.parse(fs.readFileSync(rulesFile, 'utf8'));
+  contents.rules[0].enabled = false;
+  fs.writeFileSync(rulesFile, YAML.stringify(contents));
+
+  await waitFor(() => changes.length === 2, { timeoutMs: 5000 });
+  assert.equal(ruleStore.get('employeeId').enabled, false);
+});
@@ -0,0 +1,187 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers/quietLogger');
+const { startStubServer } = require('./helpers/stubServer');
+
+// Runs the scanner against a stub Coda workspace. Rows are keyed by column
+// id, as the real API returns them.
+let coda;
+let workspace;
+let dataDir;
+let runSecurityScan;
+let alertRepository;
+let scanRepository;
+let ruleStore;
+
+function handle(req) {
+  const parts = req.path.split('/').filter(Boolean);
+  const fail = workspace.failures[req.path];
+  if (fail) return fail;
+  if (req.path === '/docs') return { body: { items: workspace.docs } };
+  const [, docId, kind, tableId, sub] = parts;
+  if (kind === 'acl') return { body: { items: [] } };
+  if (kind === 'tables' && !tableId) return { body: { items: workspace.tables[docId] || [] } };
+  if (kind === 'tables' && sub === 'columns') return { body: { items: workspace.columns } };
+  if (kind === 'tables' && sub === 'rows') return { body: { items: workspace.rows[`${docId}/${tableId}`] || [] } };
+  return { status: 404, body: { message: 'Not found' } };
+}
+
+before(async () => {
+  coda = await startStubServer(req => handle(req));
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securecoda-scan-'));
+  Object.assign(process.env, {
+    CODA_BASE_URL: coda.url,
+    CODA_RETRY_BASE_MS: '1',
+    CODA_MAX_RETRIES: '1',
+    DATA_DIR: dataDir,
+    RULES_FILE: path.join(dataDir, 'rules.json'),
+    SCAN_PAGE_CONTENT: 'false'
+  });
+  ({ runSecurityScan } = require('../src/index'));
+  alertRepository = require('../src/repositories/alertRepository');
+  scanRepository = require('../src/repositories/scanRepository');
+  ruleStore = require('../src/scanner/ruleStore');
+  ruleStore.create({ id: 'badge', name: 'Badge number', pattern: 'BADGE-\\d{4}', severity: 'medium', columns: ['^badge$'] });
+});
+
+after(async () => {
+  await coda.close();
+  require('../src/db').flush();
+  fs.unwatchFile(ruleStore.RULES_FILE);
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  const db = require('../src/db').getState();
+  db.alerts.length = 0;
+  db.scanState.docs = {};
+  coda.requests.length = 0;
+  workspace = {
+    docs: [{ id: 'doc1', name: 'HR', updatedAt: new Date().toISOString(), owner: 'owner@example.com' }],
+    tables: { doc1: [{ id: 'grid-1', name: 'Staff' }] },
+    columns: [{ id: 'c-name', name: 'Name' }, { id: 'c-badge', name: 'Badge' }, { id: 'c-notes', name: 'Notes' }],
+    rows: {
+      'doc1/grid-1': [
+        { id: 'i-1', updatedAt: '2026-01-01T00:00:00.000Z', values: { 'c-name': 'Ada', 'c-badge': 'BADGE-1234', 'c-notes': 'BADGE-9999' } }
+      ]
+    },
+    failures: {}
+  };
+});
+
+function scan(options = {}) {
+  const record = scanRepository.create({ mode: options.full ? 'full' : 'incremental', status: 'running', startedAt: new Date().toISOString() });
+  return runSecurityScan({ ...options, scan: record });
+}
+
+const rowAlerts = () => alertRepository.all().filter(a => a.resourceType === 'row');
+
+test('column filters match the column names behind ID-keyed row values', async () => {
+  await scan();
+
+  const alerts = rowAlerts();
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].metadata.sensitiveType, 'badge');
+  assert.equal(alerts[0].metadata.columnId, 'c-badge');
+  assert.equal(alerts[0].metadata.columnName, 'Badge');
+  assert.match(alerts[0].description, /column "Badge"/);
+});
+
+test('row creator is read from a "Created by" column keyed by id', async () => {
+  workspace.columns.push({ id: 'c-creator', name: 'Created by' });
+  workspace.rows['doc1/grid-1'][0].values['c-creator'] = 'grace@example.com';
+
+  await scan();
+
+  const [alert] = rowAlerts();
+  assert.equal(alert.metadata.rowCreator, 'grace@example.com');
+  assert.equal(alert.metadata.owner, 'owner@example.com');
+});
+
+test('suppressions scoped by column name or id cover ID-keyed findings', async () => {
+  const suppressionRepository = require('../src/repositories/suppressionRepository');
+  const byName = suppressionRepository.create({ columnName: 'badge', reason: 'Badge numbers are public', mode: 'ignore' });
+
+  await scan();
+
+  const [alert] = rowAlerts();
+  assert.equal(alert.status, 'ignored');
+  assert.equal(alert.suppressedBy, byName.id);
+  assert.ok(suppressionRepository.matches({ columnName: 'c-badge' }, alert));
+  assert.ok(!suppressionRepository.matches({ columnName: 'Notes' }, alert));
+  suppressionRepository.remove(byName.id);
+});
+
+test('incremental scans skip a doc whose updatedAt has not moved', async () => {
+  await scan();
+  coda.requests.length = 0;
+
+  const result = await scan();
+
+  assert.equal(result.documentsSkipped, 1);
+  assert.equal(result.rowsScanned, 0);
+  assert.ok(!coda.requests.some(r => r.path.includes('/tables')), 'tables were fetched for an unchanged doc');
+  // Findings in the skipped doc are still on record, not resolved
+  assert.equal(rowAlerts()[0].status, 'open');
+});
+
+test('only rows whose updatedAt moved are rescanned in a changed doc', async () => {
+  const rows = workspace.rows['doc1/grid-1'];
+  rows.push({ id: 'i-2', updatedAt: '2026-01-01T00:00:00.000Z', values: { 'c-name': 'Alan', 'c-badge': 'none' } });
+  await scan();
+
+  workspace.docs[0].updatedAt = new Date(Date.now() + 1000).toISOString();
+  rows[1].updatedAt = '2026-02-01T00:00:00.000Z';
+  rows[1].values['c-badge'] = 'BADGE-5678';
+  const result = await scan();
+
+  assert.equal(result.documentsSkipped, 0);
+  assert.equal(result.rowsScanned, 1);
+  assert.equal(result.rowsSkipped, 1);
+  assert.deepEqual(rowAlerts().map(a => a.resourceId).sort(), ['i-1', 'i-2']);
+  assert.ok(rowAlerts().every(a => a.status === 'open'));
+});
+
+test('a full scan rescans unchanged docs and rows', async () => {
+  await scan();
+
+  const result = await scan({ full: true });
+
+  assert.equal(result.mode, 'full');
+  assert.equal(result.documentsSkipped, 0);
+  assert.equal(result.rowsScanned, 1);
+  assert.equal(result.rowsSkipped, 0);
+});
+
+test('alerts in a table that failed to load stay open', async () => {
+  await scan();
+  workspace.failures['/docs/doc1/tables/grid-1/rows'] = { status: 403, body: { message: 'Forbidden' } };
+
+  const result = await scan({ full: true });
+
+  assert.equal(result.alertsResolved, 0);
+  assert.ok(result.errors.length > 0);
+  assert.equal(rowAlerts()[0].status, 'open');
+});
+
+test('a finding that disappears resolves its alert, and reopens it when it returns', async () => {
+  await scan();
+  const [alert] = rowAlerts();
+  const row = workspace.rows['doc1/grid-1'][0];
+
+  row.values['c-badge'] = 'returned';
+  let result = await scan({ full: true });
+  assert.equal(result.alertsResolved, 1);
+  assert.equal(alertRepository.findById(alert.id).status, 'resolved');
+
+  row.values['c-badge'] = 'BADGE-1234';
+  result = await scan({ full: true });
+  assert.equal(result.alertsCreated, 0);
+  const reopened = alertRepository.findById(alert.id);
+  assert.equal(reopened.status, 'open');
+  assert.equal(reopened.resolvedAt, null);
+  assert.equal(rowAlerts().length, 1);
+});
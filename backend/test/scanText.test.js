@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers/quietLogger');
+
+// A v1 rules file from before validators existed, with SSN still disabled
+let dataDir;
+let ruleStore;
+let scanText;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securecoda-rules-'));
+  process.env.DATA_DIR = dataDir;
+  process.env.RULES_FILE = path.join(dataDir, 'rules.json');
+  delete process.env.MIN_CONFIDENCE;
+  const defaults = require('../src/scanner/defaultRules')
+    .map(({ validator, confidence, ...rule }) => (rule.id === 'ssn' ? { ...rule, enabled: false } : rule));
+  fs.writeFileSync(process.env.RULES_FILE, JSON.stringify(defaults));
+
+  ruleStore = require('../src/scanner/ruleStore');
+  ({ scanText } = require('../src/scanner/scanText'));
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const types = text => scanText(text).map(f => f.type);
+
+test('the v2 upgrade switches SSN on and attaches validators', () => {
+  const ssn = ruleStore.get('ssn');
+  assert.equal(ssn.enabled, true);
+  assert.equal(ssn.validator, 'ssn');
+  assert.equal(JSON.parse(fs.readFileSync(process.env.RULES_FILE, 'utf8')).rules.find(r => r.id === 'ssn').enabled, true);
+});
+
+test('bare digit runs fall below the default minimum confidence', () => {
+  assert.ok(!types('Order 2125551234 shipped').includes('phone'));
+
+  const [finding] = scanText('Call (212) 555-1234 after 5').filter(f => f.type === 'phone');
+  assert.equal(finding.confidence, 0.8);
+});
+
+test('a rule can lower its own minimum confidence', () => {
+  ruleStore.update('phone', { minConfidence: 0.3 });
+  const [finding] = scanText('Order 2125551234 shipped').filter(f => f.type === 'phone');
+  assert.equal(finding.confidence, 0.4);
+
+  assert.throws(() => ruleStore.update('phone', { minConfidence: 2 }), { name: 'RuleValidationError' });
+});
+
+test('highEntropy honours the rule threshold and minimum confidence', () => {
+  const hasSecret = text => types(text).includes('highEntropy');
+  const weak = 'token a1b2c3d4e5f6g7h8a1b2c3d4e5f6g7h8 end';
+  const strong = 'key sk9Fq2LmZ7xR4pWc8TnB3vYh6KdJ end';
+  assert.ok(hasSecret(weak));
+  assert.ok(hasSecret(strong));
+
+  ruleStore.update('highEntropy', { minConfidence: 0.7 });
+  assert.ok(!hasSecret(weak));
+  assert.ok(hasSecret(strong));
+
+  ruleStore.update('highEntropy', { entropyThreshold: 5 });
+  assert.ok(!hasSecret(strong));
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ALLOWED_DOMAINS = 'example.com, Corp.example.org';
+process.env.MAX_EDITORS = '2';
+const { evaluateSharing, isExternalPrincipal, isInternalPrincipal } = require('../src/scanner/sharing');
+
+const doc = { id: 'doc1', name: 'Roadmap' };
+const anyone = access => ({ access, principal: { type: 'anyone' } });
+const email = (address, access = 'readonly') => ({ access, principal: { type: 'email', email: address } });
+const domain = (name, access = 'readonly') => ({ access, principal: { type: 'domain', domain: name } });
+
+const summarize = permissions => evaluateSharing(doc, permissions).map(a => [a.type, a.severity]);
+
+test('principals are sorted into internal and external by domain', () => {
+  const cases = [
+    // [principal, external, internal]
+    [{ type: 'email', email: 'ada@example.com' }, false, true],
+    [{ type: 'email', email: 'ADA@Example.COM' }, false, true],
+    [{ type: 'email', email: 'ada@eu.example.com' }, false, true],
+    [{ type: 'email', email: 'ada@corp.example.org' }, false, true],
+    [{ type: 'email', email: 'ada@example.org' }, true, false],
+    [{ type: 'email', email: 'ada@notexample.com' }, true, false],
+    [{ type: 'domain', domain: 'example.com' }, false, true],
+    [{ type: 'domain', domain: 'partner.io' }, true, false],
+    [{ type: 'anyone' }, false, false],
+    [{ type: 'email' }, false, false]
+  ];
+  for (const [principal, external, internal] of cases) {
+    assert.equal(isExternalPrincipal(principal), external, `external ${JSON.stringify(principal)}`);
+    assert.equal(isInternalPrincipal(principal), internal, `internal ${JSON.stringify(principal)}`);
+  }
+});
+
+test('evaluateSharing raises an alert per sharing problem', () => {
+  const cases = [
+    [[email('ada@example.com', 'write')], []],
+    [[anyone('readonly')], [['link_sharing', 'high']]],
+    [[anyone('comment')], [['link_sharing', 'high']]],
+    [[anyone('write')], [['link_sharing', 'critical']]],
+    [[email('guest@partner.io')], [['external_sharing', 'medium']]],
+    [[domain('partner.io', 'write')], [['external_sharing', 'high']]],
+    [[email('a@example.com', 'write'), email('b@example.com', 'write'), email('c@example.com', 'write')], [['excessive_editors', 'medium']]],
+    [[email('a@example.com', 'write'), email('b@example.com', 'write')], []],
+    // Revoked grants do not count
+    [[anyone('none'), email('guest@partner.io', 'none')], []],
+    [[anyone('write'), email('guest@partner.io', 'write'), email('a@example.com', 'write')],
+      [['link_sharing', 'critical'], ['external_sharing', 'high'], ['excessive_editors', 'medium']]]
+  ];
+  for (const [permissions, expected] of cases) {
+    assert.deepEqual(summarize(permissions), expected, JSON.stringify(permissions));
+  }
+});
+
+test('sharing alerts describe the doc and the principals involved', () => {
+  const [alert] = evaluateSharing(doc, [email('guest@partner.io', 'write'), email('Other@Vendor.io'), email('ada@example.com')]);
+
+  assert.equal(alert.type, 'external_sharing');
+  assert.equal(alert.docId, 'doc1');
+  assert.equal(alert.resourceId, 'doc1');
+  assert.equal(alert.resourceType, 'document');
+  assert.equal(alert.title, 'Shared outside the organization: Roadmap');
+  assert.equal(alert.description, '2 external principal(s) have access, including editors');
+  assert.deepEqual(alert.metadata.domains, ['partner.io', 'vendor.io']);
+  assert.deepEqual(alert.metadata.principals.map(p => p.email), ['guest@partner.io', 'Other@Vendor.io']);
+});
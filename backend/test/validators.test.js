@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { VALIDATORS, shannonEntropy } = require('../src/scanner/validators');
+
+// Each case is [input, expected confidence]; null means the match is rejected
+function check(validator, cases) {
+  for (const [input, expected] of cases) {
+    assert.equal(VALIDATORS[validator](input), expected, `${validator}(${JSON.stringify(input)})`);
+  }
+}
+
+const base64Url = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('creditCard checks Luhn, issuer prefix and length', () => {
+  check('creditCard', [
+    ['4111111111111111', 0.95],
+    ['4111 1111 1111 1111', 0.95],
+    ['4111-1111-1111-1111', 0.95],
+    ['378282246310005', 0.95],
+    ['5555555555554444', 0.95],
+    ['2221000000000009', 0.95],
+    ['6011000000000004', 0.95],
+    ['3530111333300000', 0.95],
+    // Luhn-valid but the length is wrong for the network, or no known network
+    ['40000000000002', 0.6],
+    ['9100000000000000', 0.5],
+    ['4111111111111112', null],
+    ['0000000000000000', null],
+    ['411111111111', null],
+    ['41111111111111111111', null]
+  ]);
+});
+
+test('ssn rejects impossible areas, groups and serials', () => {
+  check('ssn', [
+    ['123-45-6788', 0.9],
+    ['123 45 6788', 0.6],
+    ['123456788', 0.6],
+    ['000-12-3456', null],
+    ['666-12-3456', null],
+    ['900-12-3456', null],
+    ['999-12-3456', null],
+    ['123-00-4567', null],
+    ['123-45-0000', null],
+    ['078-05-1120', null],
+    ['123-45-6789', null],
+    ['123-45-678', null]
+  ]);
+});
+
+test('iban checks mod-97 and the country length', () => {
+  check('iban', [
+    ['GB82WEST12345698765432', 0.95],
+    ['GB82 WEST 1234 5698 7654 32', 0.95],
+    ['gb82west12345698765432', 0.95],
+    ['DE89370400440532013000', 0.95],
+    ['GB82WEST12345698765433', null],
+    ['GB29NWBK6016133192681', null],
+    ['DE8937040044053201300', null],
+    ['GBXXWEST12345698765432', null],
+    ['GB82WEST', null]
+  ]);
+});
+
+test('jwt needs a JSON header with alg and a JSON payload', () => {
+  const header = base64Url({ alg: 'HS256', typ: 'JWT' });
+  const payload = base64Url({ sub: '42' });
+  check('jwt', [
+    [`${header}.${payload}.c2lnbmF0dXJl`, 0.95],
+    [`${base64Url({ alg: 'none' })}.${payload}.c2lnbmF0dXJl`, 0.7],
+    [`${header}.${payload}.`, 0.7],
+    [`${base64Url({ typ: 'JWT' })}.${payload}.c2lnbmF0dXJl`, null],
+    [`${header}.${base64Url([1, 2])}.c2lnbmF0dXJl`, null],
+    [`${header}.bm90IGpzb24.c2lnbmF0dXJl`, null],
+    [`${header}.${payload}`, null]
+  ]);
+});
+
+test('phone follows NANP area code and exchange rules', () => {
+  check('phone', [
+    ['(212) 555-1234', 0.8],
+    ['212-555-1234', 0.8],
+    ['212.555.1234', 0.8],
+    ['+1 212 555 1234', 0.8],
+    ['2125551234', 0.4],
+    ['12125551234', 0.4],
+    ['(112) 555-1234', null],
+    ['(212) 055-1234', null],
+    ['(911) 555-1234', null],
+    ['(222) 222-2222', null],
+    ['555-1234', null],
+    ['22125551234', null]
+  ]);
+});
+
+test('shannonEntropy counts bits per character', () => {
+  for (const [input, bits] of [['aaaa', 0], ['aabb', 1], ['abcd', 2], ['0123456789abcdef', 4]]) {
+    assert.equal(shannonEntropy(input), bits, input);
+  }
+});
+
+test('entropy scores mixed tokens above the threshold', () => {
+  const key = 'sk9Fq2LmZ7xR4pWc8TnB3vYh6KdJ';
+  const cases = [
+    ['a1b2c3d4e5f6g7h8a1b2c3d4e5f6g7h8', {}, 0.5],
+    [key, {}, 0.5 + (shannonEntropy(key) - 4) * 0.4],
+    ['A1b2C3d4E5f6G7h8I9j0KkLlMmNnOoPpQqRrSsTt', {}, 0.9],
+    [key, { entropyThreshold: 5 }, null],
+    ['a1b2c3d4e5f6g7h8a1b2c3d4e5f6g7h8', { entropyThreshold: 3 }, 0.9],
+    // Hex UUIDs, letters only and digits only are not secrets
+    ['550e8400e29b41d4a716446655440000', {}, null],
+    ['abcdefghijklmnopqrstuvwxyzABCD', {}, null],
+    ['123456789012345678901234', {}, null]
+  ];
+  for (const [input, rule, expected] of cases) {
+    assert.equal(VALIDATORS.entropy(input, rule), expected, `${input} ${JSON.stringify(rule)}`);
+  }
+});
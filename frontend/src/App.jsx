@@ -1,37 +1,131 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import DocumentList from './components/DocumentList';
 import AlertsDashboard from './components/AlertsDashboard';
+import LoginScreen from './components/LoginScreen';
+import SuppressionList from './components/SuppressionList';
+import ScanHistory from './components/ScanHistory';
+import OwnersView from './components/OwnersView';
+import { getToken, setToken, getCurrentUser, logout } from './api';
 import './App.css';
 
+// OIDC logins come back as #token=... or #loginError=...; the fragment is
+// cleared straight away so the token does not linger in the address bar
+function consumeLoginFragment() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const token = params.get('token');
+  const loginError = params.get('loginError');
+  if (token || loginError) {
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+  if (token) setToken(token);
+  return loginError;
+}
+
+const initialLoginError = consumeLoginFragment();
+
 function App() {
   const [activeTab, setActiveTab] = useState('alerts');
+  // Filters the dashboard opens with; the key remounts it when they change
+  const [alertPreset, setAlertPreset] = useState({ key: 0, filters: {} });
+  const [user, setUser] = useState(null);
+  const [checkingSession, setCheckingSession] = useState(() => Boolean(getToken()));
+
+  useEffect(() => {
+    if (getToken()) {
+      getCurrentUser()
+        .then(setUser)
+        .catch(() => setUser(null))
+        .finally(() => setCheckingSession(false));
+    }
+
+    const handleUnauthorized = () => setUser(null);
+    window.addEventListener('securecoda:unauthorized', handleUnauthorized);
+    return () => window.removeEventListener('securecoda:unauthorized', handleUnauthorized);
+  }, []);
+
+  const viewOwnerAlerts = (owner) => {
+    setAlertPreset(prev => ({ key: prev.key + 1, filters: { owner, status: 'open' } }));
+    setActiveTab('alerts');
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } finally {
+      setUser(null);
+    }
+  };
 
   return (
     <div className="app">
       <header className="app-header">
         <h1>SecureCoda</h1>
         <p>Activity & Exposure Monitor</p>
+        {user && (
+          <div className="app-user">
+            <span>{user.displayName || user.username}</span>
+            <span className="badge app-user-role">{user.role}</span>
+            <button onClick={handleLogout} className="btn btn-outline btn-sm">
+              Sign out
+            </button>
+          </div>
+        )}
       </header>
 
-      <nav className="app-nav">
-        <button
-          className={`nav-btn ${activeTab === 'alerts' ? 'active' : ''}`}
-          onClick={() => setActiveTab('alerts')}
-        >
-          Alerts Dashboard
-        </button>
-        <button
-          className={`nav-btn ${activeTab === 'documents' ? 'active' : ''}`}
-          onClick={() => setActiveTab('documents')}
-        >
-          Documents
-        </button>
-      </nav>
-
-      <main className="app-main">
-        {activeTab === 'alerts' && <AlertsDashboard />}
-        {activeTab === 'documents' && <DocumentList />}
-      </main>
+      {checkingSession ? (
+        <main className="app-main">
+          <div className="loading">Checking session...</div>
+        </main>
+      ) : !user ? (
+        <main className="app-main">
+          <LoginScreen onLogin={setUser} initialError={initialLoginError} />
+        </main>
+      ) : (
+        <>
+          <nav className="app-nav">
+            <button
+              className={`nav-btn ${activeTab === 'alerts' ? 'active' : ''}`}
+              onClick={() => setActiveTab('alerts')}
+            >
+              Alerts Dashboard
+            </button>
+            <button
+              className={`nav-btn ${activeTab === 'documents' ? 'active' : ''}`}
+              onClick={() => setActiveTab('documents')}
+            >
+              Documents
+            </button>
+            <button
+              className={`nav-btn ${activeTab === 'owners' ? 'active' : ''}`}
+              onClick={() => setActiveTab('owners')}
+            >
+              Owners
+            </button>
+            <button
+              className={`nav-btn ${activeTab === 'suppressions' ? 'active' : ''}`}
+              onClick={() => setActiveTab('suppressions')}
+            >
+              Suppressions
+            </button>
+            <button
+              className={`nav-btn ${activeTab === 'scans' ? 'active' : ''}`}
+              onClick={() => setActiveTab('scans')}
+            >
+              Scan History
+            </button>
+          </nav>
+
+          <main className="app-main">
+            {activeTab === 'alerts' && (
+              <AlertsDashboard key={alertPreset.key} user={user} initialFilters={alertPreset.filters} />
+            )}
+            {activeTab === 'owners' && <OwnersView onViewAlerts={viewOwnerAlerts} />}
+            {activeTab === 'documents' && <DocumentList />}
+            {activeTab === 'suppressions' && <SuppressionList user={user} />}
+            {activeTab === 'scans' && <ScanHistory />}
+          </main>
+        </>
+      )}
 
       <footer className="app-footer">
         <p>SecureCoda - Coda Security Monitoring System</p>
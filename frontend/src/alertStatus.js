@@ -0,0 +1,13 @@
+// Mirrors AUTO_RESOLVABLE_STATUSES in backend/src/constants/alerts.js: the
+// statuses that still need work
+export const UNRESOLVED_STATUSES = ['open', 'acknowledged', 'in_progress'];
+
+// Mirrors SHARING_ALERT_TYPES in backend/src/constants/alerts.js: the alerts
+// Restrict Sharing applies to (Unpublish only fixes public_document)
+export const SHARING_ALERT_TYPES = ['link_sharing', 'external_sharing', 'excessive_editors'];
+
+export const statusLabel = (status) => status.replace(/_/g, ' ');
+
+// Past its SLA due date and not resolved yet
+export const isOverdue = (alert) =>
+  Boolean(alert.dueAt) && UNRESOLVED_STATUSES.includes(alert.status) && new Date(alert.dueAt).getTime() < Date.now();
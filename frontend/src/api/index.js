@@ -9,6 +9,59 @@ const api = axios.create({
   }
 });
 
+const TOKEN_KEY = 'securecoda.token';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+export const setToken = (token) => localStorage.setItem(TOKEN_KEY, token);
+export const clearToken = () => localStorage.removeItem(TOKEN_KEY);
+
+// Full URL, since the browser navigates to it rather than calling it via XHR
+export const OIDC_LOGIN_URL = `${API_BASE_URL}/auth/oidc/login`;
+
+api.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+// An expired or revoked session sends the app back to the login screen
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && !error.config.url.startsWith('/auth/login')) {
+      clearToken();
+      window.dispatchEvent(new Event('securecoda:unauthorized'));
+    }
+    if (error.response?.data?.error) error.message = error.response.data.error;
+    return Promise.reject(error);
+  }
+);
+
+// Auth API
+export const getAuthConfig = async () => {
+  const response = await api.get('/auth/config');
+  return response.data;
+};
+
+export const login = async (username, password) => {
+  const response = await api.post('/auth/login', { username, password });
+  setToken(response.data.token);
+  return response.data.user;
+};
+
+export const logout = async () => {
+  try {
+    await api.post('/auth/logout');
+  } finally {
+    clearToken();
+  }
+};
+
+export const getCurrentUser = async () => {
+  const response = await api.get('/auth/me');
+  return response.data;
+};
+
 // Documents API
 export const getDocuments = async (page = 1, limit = 10) => {
   const params = { page, limit };
@@ -17,27 +70,128 @@ export const getDocuments = async (page = 1, limit = 10) => {
 };
 
 // Alerts API
-export const getAlerts = async (page = 1, limit = 10) => {
-  const params = { page, limit };
+// `filters` may hold status, severity, type, docId, owner, assignee, since,
+// until, q, sortBy, sortDir
+export const getAlerts = async (page = 1, limit = 10, filters = {}) => {
+  const params = { ...filters, page, limit };
   const response = await api.get('/alerts', { params });
   return response.data;
 };
 
+// Every alert matching `filters` as a file download (csv, json or sarif)
+export const exportAlerts = async (format, filters = {}) => {
+  const response = await api.get('/alerts/export', {
+    params: { ...filters, format },
+    responseType: 'blob'
+  });
+  return response.data;
+};
+
+// Created / remediated / open counts per day or week
+export const getAlertTrends = async (interval = 'day', filters = {}) => {
+  const response = await api.get('/alerts/trends', { params: { ...filters, interval } });
+  return response.data;
+};
+
+// Unresolved alert counts per doc owner
+export const getOwners = async () => {
+  const response = await api.get('/owners');
+  return response.data;
+};
+
 export const getAlertStats = async () => {
   const response = await api.get('/alerts/stats');
   return response.data;
 };
 
+// A single alert, with the workflow actions currently allowed on it
+export const getAlert = async (alertId) => {
+  const response = await api.get(`/alerts/${alertId}`);
+  return response.data;
+};
+
+// Users alerts can be assigned to
+export const getAssignees = async () => {
+  const response = await api.get('/alerts/assignees');
+  return response.data;
+};
+
+// `userId` null unassigns the alert
+export const assignAlert = async (alertId, userId) => {
+  const response = await api.post(`/alerts/${alertId}/assign`, { userId });
+  return response.data;
+};
+
+export const getAlertComments = async (alertId) => {
+  const response = await api.get(`/alerts/${alertId}/comments`);
+  return response.data;
+};
+
+export const addAlertComment = async (alertId, body) => {
+  const response = await api.post(`/alerts/${alertId}/comments`, { body });
+  return response.data;
+};
+
 export const remediateAlert = async (alertId, action) => {
   const response = await api.post(`/alerts/${alertId}/remediate`, { action });
   return response.data;
 };
+// Either { action, ids } or { action, filter } (same filters as getAlerts)
+export const bulkRemediateAlerts = async (payload) => {
+  const response = await api.post('/alerts/bulk', payload);
+  return response.data;
+};
+
+// Audit API
+export const getAuditLog = async (filters = {}, page = 1, limit = 50) => {
+  const params = { ...filters, page, limit };
+  const response = await api.get('/audit', { params });
+  return response.data;
+};
+
+// Suppressions API
+export const getSuppressions = async () => {
+  const response = await api.get('/suppressions');
+  return response.data;
+};
+
+export const createSuppression = async (suppression) => {
+  const response = await api.post('/suppressions', suppression);
+  return response.data;
+};
+
+export const deleteSuppression = async (suppressionId) => {
+  const response = await api.delete(`/suppressions/${suppressionId}`);
+  return response.data;
+};
 
 
 // Scan API
-export const triggerScan = async () => {
-  const response = await api.post('/scan');
+// Starts a background scan and returns its record. If one is already running
+// the server answers 409 with that scan, which is returned instead.
+export const triggerScan = async (full = false) => {
+  try {
+    const response = await api.post('/scan', null, { params: full ? { full: true } : {} });
+    return response.data.scan;
+  } catch (error) {
+    if (error.response?.status === 409 && error.response.data?.scan) return error.response.data.scan;
+    throw error;
+  }
+};
+
+export const getScans = async (page = 1, limit = 20) => {
+  const response = await api.get('/scans', { params: { page, limit } });
   return response.data;
 };
 
+export const getScan = async (scanId) => {
+  const response = await api.get(`/scans/${scanId}`);
+  return response.data;
+};
+
+// Live updates (Server-Sent Events). EventSource cannot send headers, so the
+// session token goes in the query string.
+export const openEventStream = () =>
+  new EventSource(`${API_BASE_URL}/events?access_token=${encodeURIComponent(getToken() || '')}`);
+
 export default api;
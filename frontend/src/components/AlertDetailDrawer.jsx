@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import { getAlert, getAlertComments, getAssignees, assignAlert, addAlertComment, remediateAlert } from '../api';
+import { hasRole } from '../roles';
+import { isOverdue, statusLabel } from '../alertStatus';
+import AlertHistory from './AlertHistory';
+
+const ACTION_LABELS = {
+  in_progress: { label: 'Start Work', className: 'btn-primary' },
+  acknowledge: { label: 'Acknowledge', className: 'btn-secondary' },
+  redact: { label: 'Redact', className: 'btn-warning' },
+  delete: { label: 'Delete Row', className: 'btn-danger' },
+  unpublish: { label: 'Unpublish', className: 'btn-danger' },
+  restrict_sharing: { label: 'Restrict Sharing', className: 'btn-warning' },
+  revert: { label: 'Revert', className: 'btn-outline' },
+  ignore: { label: 'Ignore', className: 'btn-outline' },
+  reopen: { label: 'Reopen', className: 'btn-outline' }
+};
+
+// Side panel with an alert's details, workflow actions, assignee and
+// comment thread. `refreshKey` changes when the alert is updated elsewhere;
+// `onChanged` runs after this panel changes it.
+function AlertDetailDrawer({ alertId, user, refreshKey, onChanged, onClose }) {
+  const [alert, setAlert] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [assignees, setAssignees] = useState([]);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [commentText, setCommentText] = useState('');
+  const [version, setVersion] = useState(0);
+
+  const canAct = hasRole(user, 'analyst');
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([getAlert(alertId), getAlertComments(alertId)])
+      .then(([alertData, commentData]) => {
+        if (cancelled) return;
+        setAlert(alertData);
+        setComments(commentData.items || []);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message || 'Failed to load alert');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [alertId, refreshKey, version]);
+
+  useEffect(() => {
+    if (!canAct) return undefined;
+    let cancelled = false;
+    getAssignees()
+      .then(data => {
+        if (!cancelled) setAssignees(data.items || []);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message || 'Failed to load assignees');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [canAct]);
+
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  // Runs a change, then reloads this panel and lets the dashboard refresh
+  const run = async (change) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await change();
+      setVersion(v => v + 1);
+      onChanged();
+    } catch (err) {
+      setError(err.message || 'Update failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAction = (action) => {
+    if (action === 'delete' && !window.confirm('Delete the Coda row behind this alert? This cannot be undone.')) return;
+    run(async () => {
+      const result = await remediateAlert(alertId, action);
+      if (!result.success) throw new Error(result.message);
+    });
+  };
+
+  const handleAssign = (value) => {
+    run(() => assignAlert(alertId, value ? parseInt(value) : null));
+  };
+
+  const handleComment = (event) => {
+    event.preventDefault();
+    const body = commentText.trim();
+    if (!body) return;
+    run(async () => {
+      await addAlertComment(alertId, body);
+      setCommentText('');
+    });
+  };
+
+  return (
+    <div className="drawer-overlay" onClick={onClose}>
+      <aside className="alert-drawer" onClick={(e) => e.stopPropagation()} aria-label="Alert details">
+        <div className="alert-drawer-header">
+          <h3>{alert ? alert.title : 'Loading alert...'}</h3>
+          <button onClick={onClose} className="btn btn-outline btn-sm" aria-label="Close">×</button>
+        </div>
+
+        {error && <div className="error">{error}</div>}
+
+        {alert && (
+          <>
+            <div className="alert-drawer-badges">
+              <span className={`badge severity-${alert.severity}`}>{alert.severity}</span>
+              <span className={`badge status-${alert.status}`}>{statusLabel(alert.status)}</span>
+              {isOverdue(alert) && <span className="badge overdue-badge">overdue</span>}
+            </div>
+            <p className="alert-description">{alert.description}</p>
+
+            <dl className="alert-drawer-fields">
+              <dt>Document</dt>
+              <dd>{alert.docName}</dd>
+              <dt>Owner</dt>
+              <dd>{alert.metadata?.owner ? (alert.metadata.ownerName || alert.metadata.owner) : 'Unknown'}</dd>
+              {alert.metadata?.rowCreator && (
+                <>
+                  <dt>Row created by</dt>
+                  <dd>{alert.metadata.rowCreator}</dd>
+                </>
+              )}
+              <dt>Type</dt>
+              <dd>{alert.type.replace(/_/g, ' ')}</dd>
+              <dt>Created</dt>
+              <dd>{new Date(alert.createdAt).toLocaleString()}</dd>
+              <dt>Due</dt>
+              <dd>{alert.dueAt ? new Date(alert.dueAt).toLocaleString() : 'No SLA'}</dd>
+              <dt>Assignee</dt>
+              <dd>
+                {canAct ? (
+                  <select
+                    value={alert.assignee?.id ?? ''}
+                    onChange={(e) => handleAssign(e.target.value)}
+                    disabled={busy}
+                    aria-label="Assignee"
+                  >
+                    <option value="">Unassigned</option>
+                    {assignees.map(assignee => (
+                      <option key={assignee.id} value={assignee.id}>
+                        {assignee.displayName || assignee.username}
+                      </option>
+                    ))}
+                    {alert.assignee && !assignees.some(a => a.id === alert.assignee.id) && (
+                      <option value={alert.assignee.id}>{alert.assignee.username}</option>
+                    )}
+                  </select>
+                ) : (
+                  alert.assignee ? (alert.assignee.displayName || alert.assignee.username) : 'Unassigned'
+                )}
+              </dd>
+            </dl>
+
+            {alert.availableActions.length > 0 && (
+              <div className="action-buttons alert-drawer-actions">
+                {alert.availableActions.map(action => (
+                  <button
+                    key={action}
+                    onClick={() => handleAction(action)}
+                    disabled={busy}
+                    className={`btn btn-sm ${ACTION_LABELS[action]?.className || 'btn-outline'}`}
+                  >
+                    {ACTION_LABELS[action]?.label || statusLabel(action)}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <div className="alert-comments">
+              <h4>Comments</h4>
+              {comments.length === 0 ? (
+                <p className="alert-history-empty">No comments yet.</p>
+              ) : (
+                <ul>
+                  {comments.map(comment => (
+                    <li key={comment.id} className="alert-comment">
+                      <div className="alert-comment-meta">
+                        <strong>{comment.author.displayName || comment.author.username}</strong>
+                        <span>{new Date(comment.createdAt).toLocaleString()}</span>
+                      </div>
+                      <p>{comment.body}</p>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {canAct && (
+                <form onSubmit={handleComment} className="alert-comment-form">
+                  <textarea
+                    value={commentText}
+                    onChange={(e) => setCommentText(e.target.value)}
+                    placeholder="Add a comment"
+                    rows={3}
+                    maxLength={5000}
+                  />
+                  <button type="submit" disabled={busy || !commentText.trim()} className="btn btn-primary btn-sm">
+                    Comment
+                  </button>
+                </form>
+              )}
+            </div>
+
+            <AlertHistory alertId={alertId} refreshKey={`${refreshKey}-${version}`} />
+          </>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+export default AlertDetailDrawer;
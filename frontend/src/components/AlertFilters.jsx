@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+
+const STATUS_OPTIONS = ['open', 'acknowledged', 'in_progress', 'remediated', 'ignored', 'resolved'];
+const SEVERITY_OPTIONS = ['critical', 'high', 'medium', 'low'];
+const SORT_OPTIONS = [
+  { value: 'severity', label: 'Severity' },
+  { value: 'createdAt', label: 'Created' },
+  { value: 'updatedAt', label: 'Last updated' },
+  { value: 'dueAt', label: 'Due date' },
+  { value: 'status', label: 'Status' },
+  { value: 'type', label: 'Type' },
+  { value: 'docName', label: 'Document' },
+  { value: 'title', label: 'Title' }
+];
+
+// Filter bar for the alerts table. The search box is applied on submit so
+// every keystroke does not trigger a request. `username` is the signed-in
+// user, for the "Assigned to me" filter.
+function AlertFilters({ filters, typeOptions, docOptions = [], ownerOptions = [], username, onChange, onReset }) {
+  const [search, setSearch] = useState(filters.q);
+
+  const update = (field, value) => onChange({ ...filters, [field]: value });
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    update('q', search.trim());
+  };
+
+  const handleReset = () => {
+    setSearch('');
+    onReset();
+  };
+
+  return (
+    <form className="alert-filters" onSubmit={handleSubmit}>
+      <input
+        type="search"
+        placeholder="Search title, document or owner"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        className="alert-filters-search"
+      />
+
+      <select value={filters.status} onChange={(e) => update('status', e.target.value)}>
+        <option value="">All statuses</option>
+        {STATUS_OPTIONS.map(status => (
+          <option key={status} value={status}>{status.replace(/_/g, ' ')}</option>
+        ))}
+      </select>
+
+      <select value={filters.severity} onChange={(e) => update('severity', e.target.value)}>
+        <option value="">All severities</option>
+        {SEVERITY_OPTIONS.map(severity => (
+          <option key={severity} value={severity}>{severity}</option>
+        ))}
+      </select>
+
+      <select value={filters.type} onChange={(e) => update('type', e.target.value)}>
+        <option value="">All types</option>
+        {typeOptions.map(type => (
+          <option key={type} value={type}>{type.replace(/_/g, ' ')}</option>
+        ))}
+      </select>
+
+      <select value={filters.docId} onChange={(e) => update('docId', e.target.value)}>
+        <option value="">All documents</option>
+        {docOptions.map(option => (
+          <option key={option.docId} value={option.docId}>{option.docName || option.docId}</option>
+        ))}
+        {filters.docId && !docOptions.some(o => o.docId === filters.docId) && (
+          <option value={filters.docId}>{filters.docId}</option>
+        )}
+      </select>
+
+      <select value={filters.owner} onChange={(e) => update('owner', e.target.value)}>
+        <option value="">All owners</option>
+        <option value="none">No known owner</option>
+        {ownerOptions.map(option => (
+          <option key={option.owner} value={option.owner}>{option.ownerName || option.owner}</option>
+        ))}
+        {filters.owner && filters.owner !== 'none' && !ownerOptions.some(o => o.owner === filters.owner) && (
+          <option value={filters.owner}>{filters.owner}</option>
+        )}
+      </select>
+
+      <select value={filters.assignee} onChange={(e) => update('assignee', e.target.value)}>
+        <option value="">All assignees</option>
+        <option value={username}>Assigned to me</option>
+        <option value="none">Unassigned</option>
+        {filters.assignee && ![username, 'none'].includes(filters.assignee) && (
+          <option value={filters.assignee}>{filters.assignee}</option>
+        )}
+      </select>
+
+      <label>
+        From
+        <input type="date" value={filters.since} onChange={(e) => update('since', e.target.value)} />
+      </label>
+      <label>
+        To
+        <input type="date" value={filters.until} onChange={(e) => update('until', e.target.value)} />
+      </label>
+
+      <label>
+        Sort
+        <select value={filters.sortBy} onChange={(e) => update('sortBy', e.target.value)}>
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      <button
+        type="button"
+        className="btn btn-outline btn-sm"
+        onClick={() => update('sortDir', filters.sortDir === 'desc' ? 'asc' : 'desc')}
+        title="Toggle sort direction"
+      >
+        {filters.sortDir === 'desc' ? '↓ Desc' : '↑ Asc'}
+      </button>
+
+      <button type="submit" className="btn btn-primary btn-sm">Search</button>
+      <button type="button" className="btn btn-outline btn-sm" onClick={handleReset}>Reset</button>
+    </form>
+  );
+}
+
+export default AlertFilters;
@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from 'react';
+import { getAuditLog } from '../api';
+
+// Audit trail for a single alert, newest first
+function AlertHistory({ alertId, refreshKey }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getAuditLog({ alertId }, 1, 100)
+      .then(data => {
+        if (!cancelled) setEntries(data.items || []);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message || 'Failed to load history');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [alertId, refreshKey]);
+
+  if (loading) return <div className="alert-history loading">Loading history...</div>;
+  if (error) return <div className="alert-history error">{error}</div>;
+
+  return (
+    <div className="alert-history">
+      <h4>History</h4>
+      {entries.length === 0 ? (
+        <p className="alert-history-empty">No actions recorded for this alert yet.</p>
+      ) : (
+        <ul>
+          {entries.map(entry => (
+            <li key={entry.id} className="alert-history-entry">
+              <span className="alert-history-time">{new Date(entry.at).toLocaleString()}</span>
+              <strong>{entry.actor.username}</strong>
+              <span>{entry.action.replace(/_/g, ' ')}</span>
+              <span className="alert-history-status">
+                {entry.previousStatus} &rarr; {entry.newStatus}
+              </span>
+              {entry.result && (
+                <span className={entry.result.success ? 'alert-history-ok' : 'alert-history-failed'}>
+                  {entry.result.message}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default AlertHistory;
@@ -1,66 +1,227 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { getAlerts, getAlertStats, remediateAlert, triggerScan } from '../api';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { getAlerts, getAlertStats, getOwners, remediateAlert, bulkRemediateAlerts, triggerScan, exportAlerts } from '../api';
+import { hasRole } from '../roles';
+import { UNRESOLVED_STATUSES, SHARING_ALERT_TYPES, isOverdue, statusLabel } from '../alertStatus';
+import AlertHistory from './AlertHistory';
+import AlertDetailDrawer from './AlertDetailDrawer';
+import AlertFilters from './AlertFilters';
+import Pagination from './Pagination';
+import useServerEvents from '../useServerEvents';
+import TrendCharts from './TrendCharts';
+import BulkActionBar from './BulkActionBar';
+import SuppressionForm from './SuppressionForm';
 
-function AlertsDashboard() {
+const DEFAULT_FILTERS = {
+  status: '',
+  severity: '',
+  type: '',
+  docId: '',
+  owner: '',
+  assignee: '',
+  since: '',
+  until: '',
+  q: '',
+  sortBy: 'severity',
+  sortDir: 'desc'
+};
+
+// Drops empty filters and turns the date pickers' days into a full-day range
+function toQueryParams(filters) {
+  const params = {};
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) params[key] = value;
+  }
+  if (filters.since) params.since = new Date(`${filters.since}T00:00:00`).toISOString();
+  if (filters.until) params.until = new Date(`${filters.until}T23:59:59.999`).toISOString();
+  return params;
+}
+
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' },
+  { value: 'sarif', label: 'SARIF' }
+];
+
+// `initialFilters` pre-applies filters, e.g. when opened from the Owners view
+function AlertsDashboard({ user, initialFilters }) {
   const [alerts, setAlerts] = useState([]);
   const [stats, setStats] = useState(null);
+  const [statsVersion, setStatsVersion] = useState(0);
   const [loading, setLoading] = useState(true);
-  const [scanning, setScanning] = useState(false);
+  const [startingScan, setStartingScan] = useState(false);
+  const [scanProgress, setScanProgress] = useState(null);
   const [error, setError] = useState(null);
+  const [historyAlertId, setHistoryAlertId] = useState(null);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [suppressAlertId, setSuppressAlertId] = useState(null);
+  const [drawerAlertId, setDrawerAlertId] = useState(null);
+  const [filters, setFilters] = useState(() => ({ ...DEFAULT_FILTERS, ...initialFilters }));
+  const [ownerOptions, setOwnerOptions] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 });
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [allMatching, setAllMatching] = useState(false);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [bulkResult, setBulkResult] = useState(null);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
 
+  // Only used while the live event stream is disconnected
   const AUTO_REFRESH_INTERVAL = 30000;
+  // New alerts arrive in bursts during a scan; refetch once per burst
+  const LIVE_REFETCH_DELAY = 1000;
+  const ITEMS_PER_PAGE = 20;
+
+  // Viewers only see alerts; analysts remediate; deleting rows is admin-only
+  const canRemediate = hasRole(user, 'analyst');
+  const canDelete = hasRole(user, 'admin');
 
-  const fetchAlerts = useCallback(async () => {
-    setLoading(true);
+  // `quiet` refreshes in the background without the loading placeholder
+  const fetchAlerts = useCallback(async ({ quiet = false } = {}) => {
+    if (!quiet) setLoading(true);
     setError(null);
     try {
-      const data = await getAlerts(1, 1000);
+      const data = await getAlerts(page, ITEMS_PER_PAGE, toQueryParams(filters));
       setAlerts(data.items || []);
+      setPagination(data.pagination);
     } catch (err) {
       setError(err.message || 'Failed to fetch alerts');
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [page, filters]);
+
+  // Any filter change starts again from the first page and drops the selection
+  const handleFiltersChange = (nextFilters) => {
+    setFilters(nextFilters);
+    setPage(1);
+    clearSelection();
+  };
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    setAllMatching(false);
+  };
+
+  const toggleSelected = (alertId) => {
+    setAllMatching(false);
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(alertId)) next.delete(alertId);
+      else next.add(alertId);
+      return next;
+    });
+  };
+
+  const pageSelected = alerts.length > 0 && alerts.every(alert => selectedIds.has(alert.id));
+
+  const togglePageSelected = () => {
+    setAllMatching(false);
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      for (const alert of alerts) {
+        if (pageSelected) next.delete(alert.id);
+        else next.add(alert.id);
+      }
+      return next;
+    });
+  };
+
+  const filtersActive = Object.keys(DEFAULT_FILTERS)
+    .some(key => !['sortBy', 'sortDir'].includes(key) && filters[key] !== DEFAULT_FILTERS[key]);
 
   const fetchStats = async () => {
     try {
-      const data = await getAlertStats();
+      const [data, owners] = await Promise.all([getAlertStats(), getOwners()]);
       setStats(data);
+      setOwnerOptions(owners.items.filter(entry => entry.owner));
+      setStatsVersion(v => v + 1);
     } catch (err) {
       setError(err.message || 'Failed to fetch stats');
     }
   };
 
+  const refetchTimer = useRef(null);
+
+  const scheduleRefetch = () => {
+    clearTimeout(refetchTimer.current);
+    refetchTimer.current = setTimeout(() => {
+      fetchAlerts({ quiet: true });
+      fetchStats();
+    }, LIVE_REFETCH_DELAY);
+  };
+
+  useEffect(() => () => clearTimeout(refetchTimer.current), []);
+
+  const live = useServerEvents({
+    // A new alert may belong anywhere in the current sort order and filters
+    'alert-created': scheduleRefetch,
+    'alert-updated': (updated) => {
+      setAlerts(prev => prev.map(alert => (alert.id === updated.id ? updated : alert)));
+      if (updated.id === historyAlertId || updated.id === drawerAlertId) setHistoryVersion(v => v + 1);
+      scheduleRefetch();
+    },
+    'scan-progress': (scan) => {
+      setScanProgress(scan.status === 'running' ? scan : null);
+      if (scan.status === 'failed') setError(`Scan failed: ${scan.error}`);
+    }
+  });
+
+  // Refetch on every (re)connect to catch up on missed events, and poll
+  // only while the stream is down
   useEffect(() => {
     fetchAlerts();
     fetchStats();
+    if (live) return undefined;
 
-    // Auto-refresh
     const interval = setInterval(() => {
-      fetchAlerts();
+      fetchAlerts({ quiet: true });
       fetchStats();
     }, AUTO_REFRESH_INTERVAL);
 
     return () => clearInterval(interval);
-  }, [fetchAlerts]);
+  }, [fetchAlerts, live]);
 
+  // Progress then arrives as scan-progress events
   const handleScan = async () => {
-    setScanning(true);
+    setStartingScan(true);
     try {
-      await triggerScan();
-      await fetchAlerts();
-      await fetchStats();
+      setScanProgress(await triggerScan());
     } catch (err) {
       setError(err.message || 'Scan failed');
     } finally {
-      setScanning(false);
+      setStartingScan(false);
+    }
+  };
+
+  // Exports everything matching the current filters and sort, not just this page
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const blob = await exportAlerts(exportFormat, toQueryParams(filters));
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `securecoda-alerts-${new Date().toISOString().slice(0, 10)}.${exportFormat}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message || 'Export failed');
+    } finally {
+      setExporting(false);
     }
   };
 
+  const scanning = startingScan || scanProgress?.status === 'running';
+  const scanPercent = scanProgress?.documentsTotal
+    ? Math.round((scanProgress.documentsScanned / scanProgress.documentsTotal) * 100)
+    : 0;
+
   const handleRemediate = async (alertId, action) => {
     try {
-      await remediateAlert(alertId, action);
+      const result = await remediateAlert(alertId, action);
+      if (!result.success) setError(result.message);
+      setHistoryVersion(v => v + 1);
       await fetchAlerts();
       await fetchStats();
     } catch (err) {
@@ -68,6 +229,39 @@ function AlertsDashboard() {
     }
   };
 
+  const handleBulkAction = async (action) => {
+    const count = allMatching ? pagination.total : selectedIds.size;
+    if (action === 'delete' && !window.confirm(`Delete the Coda rows behind ${count} alert(s)? This cannot be undone.`)) {
+      return;
+    }
+
+    setBulkBusy(true);
+    setError(null);
+    setBulkResult(null);
+    try {
+      const payload = allMatching
+        ? { action, filter: toQueryParams(filters) }
+        : { action, ids: [...selectedIds] };
+      const result = await bulkRemediateAlerts(payload);
+      setBulkResult(result);
+      clearSelection();
+      setHistoryVersion(v => v + 1);
+      await fetchAlerts();
+      await fetchStats();
+    } catch (err) {
+      setError(err.message || 'Bulk action failed');
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const handleSuppressed = async () => {
+    setSuppressAlertId(null);
+    setHistoryVersion(v => v + 1);
+    await fetchAlerts();
+    await fetchStats();
+  };
+
   const getSeverityClass = (severity) => {
     const classes = {
       critical: 'severity-critical',
@@ -82,8 +276,10 @@ function AlertsDashboard() {
     const classes = {
       open: 'status-open',
       acknowledged: 'status-acknowledged',
+      in_progress: 'status-in_progress',
       remediated: 'status-remediated',
-      ignored: 'status-ignored'
+      ignored: 'status-ignored',
+      resolved: 'status-resolved'
     };
     return classes[status] || '';
   };
@@ -91,16 +287,52 @@ function AlertsDashboard() {
   return (
     <div className="alerts-dashboard">
       <div className="dashboard-header">
-        <h2>Security Alerts Dashboard</h2>
-        <button
-          onClick={handleScan}
-          disabled={scanning}
-          className="btn btn-primary"
-        >
-          {scanning ? 'Scanning...' : 'Run Scan'}
-        </button>
+        <h2>
+          Security Alerts Dashboard
+          <span className={`live-indicator ${live ? 'live-indicator-on' : ''}`}>
+            {live ? 'Live' : 'Reconnecting...'}
+          </span>
+        </h2>
+        <div className="dashboard-actions">
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            aria-label="Export format"
+          >
+            {EXPORT_FORMATS.map(format => (
+              <option key={format.value} value={format.value}>{format.label}</option>
+            ))}
+          </select>
+          <button onClick={handleExport} disabled={exporting} className="btn btn-secondary">
+            {exporting ? 'Exporting...' : 'Export'}
+          </button>
+          {canRemediate && (
+            <button
+              onClick={handleScan}
+              disabled={scanning}
+              className="btn btn-primary"
+            >
+              {scanning ? 'Scanning...' : 'Run Scan'}
+            </button>
+          )}
+        </div>
       </div>
 
+      {scanProgress && (
+        <div className="scan-progress">
+          <div className="scan-progress-text">
+            Scan #{scanProgress.id}:{' '}
+            {scanProgress.documentsTotal == null
+              ? 'listing documents...'
+              : `${scanProgress.documentsScanned || 0}/${scanProgress.documentsTotal} docs, ${scanProgress.tablesScanned || 0} tables, ${scanProgress.rowsScanned || 0} rows, ${scanProgress.alertsCreated || 0} new alerts`}
+            {scanProgress.currentDoc && <span className="scan-progress-doc"> — {scanProgress.currentDoc.name}</span>}
+          </div>
+          <div className="scan-progress-bar">
+            <div className="scan-progress-fill" style={{ width: `${scanPercent}%` }} />
+          </div>
+        </div>
+      )}
+
       {/* Statistics */}
       {stats && (
         <div className="stats-container">
@@ -120,11 +352,56 @@ function AlertsDashboard() {
             <h3>Open</h3>
             <p className="stat-value status-open">{stats.byStatus?.open || 0}</p>
           </div>
+          <div className="stat-card">
+            <h3>Resolved</h3>
+            <p className="stat-value status-resolved">{stats.byStatus?.resolved || 0}</p>
+          </div>
         </div>
       )}
 
+      <TrendCharts refreshKey={statsVersion} />
+
+      <AlertFilters
+        filters={filters}
+        typeOptions={Object.keys(stats?.byType || {})}
+        docOptions={Object.entries(stats?.byDoc || {})
+          .map(([docId, { docName }]) => ({ docId, docName }))
+          .sort((a, b) => (a.docName || a.docId).localeCompare(b.docName || b.docId))}
+        ownerOptions={ownerOptions}
+        username={user.username}
+        onChange={handleFiltersChange}
+        onReset={() => handleFiltersChange(DEFAULT_FILTERS)}
+      />
+
       {error && <div className="error">{error}</div>}
 
+      {bulkResult && (
+        <div className={bulkResult.summary.failed > 0 ? 'bulk-result bulk-result-partial' : 'bulk-result'}>
+          Bulk {bulkResult.action}: {bulkResult.summary.succeeded} succeeded, {bulkResult.summary.failed} failed
+          {bulkResult.summary.failed > 0 && (
+            <ul>
+              {bulkResult.results.filter(r => !r.success).slice(0, 10).map(r => (
+                <li key={r.id}>Alert {r.id}: {r.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {canRemediate && (selectedIds.size > 0 || allMatching) && (
+        <BulkActionBar
+          selectedCount={selectedIds.size}
+          matchingCount={pagination.total}
+          allMatching={allMatching}
+          canSelectAllMatching={pageSelected && pagination.total > alerts.length}
+          canDelete={canDelete}
+          busy={bulkBusy}
+          onSelectAllMatching={() => setAllMatching(true)}
+          onAction={handleBulkAction}
+          onClear={clearSelection}
+        />
+      )}
+
       {loading ? (
         <div className="loading">Loading alerts...</div>
       ) : (
@@ -132,6 +409,16 @@ function AlertsDashboard() {
           <table className="alerts-table">
             <thead>
               <tr>
+                {canRemediate && (
+                  <th className="select-cell">
+                    <input
+                      type="checkbox"
+                      checked={pageSelected}
+                      onChange={togglePageSelected}
+                      aria-label="Select all alerts on this page"
+                    />
+                  </th>
+                )}
                 <th>Severity</th>
                 <th>Title</th>
                 <th>Document</th>
@@ -143,62 +430,239 @@ function AlertsDashboard() {
             </thead>
             <tbody>
               {alerts.map(alert => (
-                <tr key={alert.id}>
-                  <td>
-                    <span className={`badge ${getSeverityClass(alert.severity)}`}>
-                      {alert.severity}
-                    </span>
-                  </td>
-                  <td>
-                    <div className="alert-title">{alert.title}</div>
-                    <div className="alert-description">{alert.description}</div>
-                  </td>
-                  <td>{alert.docName}</td>
-                  <td>{alert.type.replace(/_/g, ' ')}</td>
-                  <td>
-                    <span className={`badge ${getStatusClass(alert.status)}`}>
-                      {alert.status}
-                    </span>
-                  </td>
-                  <td>{new Date(alert.createdAt).toLocaleString()}</td>
-                  <td>
-                    {alert.status === 'open' && (
-                      <div className="action-buttons">
-                        {alert.resourceType === 'row' && (
+                <React.Fragment key={alert.id}>
+                  <tr className={alert.status === 'resolved' ? 'alert-row-resolved' : ''}>
+                    {canRemediate && (
+                      <td className="select-cell">
+                        <input
+                          type="checkbox"
+                          checked={allMatching || selectedIds.has(alert.id)}
+                          onChange={() => toggleSelected(alert.id)}
+                          aria-label={`Select alert ${alert.id}`}
+                        />
+                      </td>
+                    )}
+                    <td>
+                      <span className={`badge ${getSeverityClass(alert.severity)}`}>
+                        {alert.severity}
+                      </span>
+                    </td>
+                    <td>
+                      <div className="alert-title">{alert.title}</div>
+                      <div className="alert-description">{alert.description}</div>
+                      {alert.metadata?.confidence !== undefined && (
+                        <div className="alert-confidence">
+                          Confidence: {Math.round(alert.metadata.confidence * 100)}%
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      {alert.docName}
+                      {alert.metadata?.owner && (
+                        <div className="alert-owner" title={alert.metadata.owner}>
+                          {alert.metadata.ownerName || alert.metadata.owner}
+                        </div>
+                      )}
+                      {alert.metadata?.rowCreator && (
+                        <div className="alert-owner">Row by {alert.metadata.rowCreator}</div>
+                      )}
+                      {alert.metadata?.pageLink && (
+                        <div>
+                          <a
+                            href={alert.metadata.pageLink}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="alert-page-link"
+                          >
+                            {alert.metadata.pageName || 'Open page'}
+                          </a>
+                        </div>
+                      )}
+                    </td>
+                    <td>{alert.type.replace(/_/g, ' ')}</td>
+                    <td>
+                      <span className={`badge ${getStatusClass(alert.status)}`}>
+                        {statusLabel(alert.status)}
+                      </span>
+                      {alert.assignee && (
+                        <div className="alert-owner">{alert.assignee.displayName || alert.assignee.username}</div>
+                      )}
+                    </td>
+                    <td>
+                      {new Date(alert.createdAt).toLocaleString()}
+                      {alert.dueAt && UNRESOLVED_STATUSES.includes(alert.status) && (
+                        <div className={isOverdue(alert) ? 'alert-due alert-overdue' : 'alert-due'}>
+                          Due {new Date(alert.dueAt).toLocaleDateString()}
+                        </div>
+                      )}
+                      {alert.status === 'resolved' && alert.resolvedAt && (
+                        <div className="alert-resolved-at">
+                          Resolved {new Date(alert.resolvedAt).toLocaleString()}
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      {canRemediate && ['open', 'in_progress'].includes(alert.status) && (
+                        <div className="action-buttons">
+                          {alert.resourceType === 'row' && (
+                            <button
+                              onClick={() => handleRemediate(alert.id, 'redact')}
+                              className="btn btn-warning btn-sm"
+                            >
+                              Redact
+                            </button>
+                          )}
+                          {canDelete && alert.resourceType === 'row' && (
+                            <button
+                              onClick={() => handleRemediate(alert.id, 'delete')}
+                              className="btn btn-danger btn-sm"
+                            >
+                              Delete Row
+                            </button>
+                          )}
+                          {alert.type === 'public_document' && (
+                            <button
+                              onClick={() => handleRemediate(alert.id, 'unpublish')}
+                              className="btn btn-danger btn-sm"
+                            >
+                              Unpublish
+                            </button>
+                          )}
+                          {SHARING_ALERT_TYPES.includes(alert.type) && (
+                            <button
+                              onClick={() => handleRemediate(alert.id, 'restrict_sharing')}
+                              className="btn btn-warning btn-sm"
+                            >
+                              Restrict Sharing
+                            </button>
+                          )}
+                          {alert.status === 'open' && (
+                            <>
+                              <button
+                                onClick={() => handleRemediate(alert.id, 'in_progress')}
+                                className="btn btn-primary btn-sm"
+                              >
+                                Start Work
+                              </button>
+                              <button
+                                onClick={() => handleRemediate(alert.id, 'acknowledge')}
+                                className="btn btn-secondary btn-sm"
+                              >
+                                Acknowledge
+                              </button>
+                            </>
+                          )}
                           <button
-                            onClick={() => handleRemediate(alert.id, 'delete')}
-                            className="btn btn-danger btn-sm"
+                            onClick={() => handleRemediate(alert.id, 'ignore')}
+                            className="btn btn-outline btn-sm"
                           >
-                            Delete Row
+                            Ignore
                           </button>
-                        )}
-                        <button
-                          onClick={() => handleRemediate(alert.id, 'acknowledge')}
-                          className="btn btn-secondary btn-sm"
-                        >
-                          Acknowledge
-                        </button>
+                        </div>
+                      )}
+                      {canRemediate && ['acknowledged', 'in_progress', 'ignored', 'resolved'].includes(alert.status) && (
+                        <div className="action-buttons">
+                          {alert.status === 'acknowledged' && (
+                            <button
+                              onClick={() => handleRemediate(alert.id, 'in_progress')}
+                              className="btn btn-primary btn-sm"
+                            >
+                              Start Work
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleRemediate(alert.id, 'reopen')}
+                            className="btn btn-outline btn-sm"
+                          >
+                            Reopen
+                          </button>
+                        </div>
+                      )}
+                      {canRemediate && alert.status === 'remediated' && alert.remediation?.priorState && !alert.remediation.revertedAt && (
+                        <div className="action-buttons">
+                          <button
+                            onClick={() => handleRemediate(alert.id, 'revert')}
+                            className="btn btn-outline btn-sm"
+                          >
+                            Revert {alert.remediation.action.replace(/_/g, ' ')}
+                          </button>
+                        </div>
+                      )}
+                      <button
+                        onClick={() => setDrawerAlertId(alert.id)}
+                        className="btn btn-outline btn-sm alert-history-toggle"
+                      >
+                        Details
+                      </button>
+                      <button
+                        onClick={() => setHistoryAlertId(historyAlertId === alert.id ? null : alert.id)}
+                        className="btn btn-outline btn-sm alert-history-toggle"
+                      >
+                        {historyAlertId === alert.id ? 'Hide History' : 'History'}
+                      </button>
+                      {canRemediate && (
                         <button
-                          onClick={() => handleRemediate(alert.id, 'ignore')}
-                          className="btn btn-outline btn-sm"
+                          onClick={() => setSuppressAlertId(suppressAlertId === alert.id ? null : alert.id)}
+                          className="btn btn-outline btn-sm alert-history-toggle"
                         >
-                          Ignore
+                          Suppress
                         </button>
-                      </div>
-                    )}
-                  </td>
-                </tr>
+                      )}
+                    </td>
+                  </tr>
+                  {historyAlertId === alert.id && (
+                    <tr className="alert-history-row">
+                      <td colSpan={canRemediate ? 8 : 7}>
+                        <AlertHistory alertId={alert.id} refreshKey={historyVersion} />
+                      </td>
+                    </tr>
+                  )}
+                  {suppressAlertId === alert.id && (
+                    <tr className="alert-history-row">
+                      <td colSpan={canRemediate ? 8 : 7}>
+                        <SuppressionForm
+                          alert={alert}
+                          onSaved={handleSuppressed}
+                          onCancel={() => setSuppressAlertId(null)}
+                        />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
               ))}
             </tbody>
           </table>
 
           {alerts.length === 0 && (
             <div className="empty-state">
-              No alerts found. Run a scan to detect security issues.
+              {filtersActive
+                ? 'No alerts match the current filters.'
+                : 'No alerts found. Run a scan to detect security issues.'}
             </div>
           )}
+
+          {pagination.totalPages > 1 && (
+            <Pagination
+              currentPage={pagination.page}
+              totalPages={pagination.totalPages}
+              onPageChange={setPage}
+            />
+          )}
         </>
       )}
+
+      {drawerAlertId !== null && (
+        <AlertDetailDrawer
+          alertId={drawerAlertId}
+          user={user}
+          refreshKey={historyVersion}
+          onChanged={() => {
+            fetchAlerts({ quiet: true });
+            fetchStats();
+          }}
+          onClose={() => setDrawerAlertId(null)}
+        />
+      )}
     </div>
   );
 }
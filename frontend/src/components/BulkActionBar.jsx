@@ -0,0 +1,58 @@
+import React from 'react';
+
+// Toolbar shown while alerts are selected. `allMatching` means the action
+// applies to every alert matching the current filters, not just the ids.
+function BulkActionBar({
+  selectedCount,
+  matchingCount,
+  allMatching,
+  canSelectAllMatching,
+  canDelete,
+  busy,
+  onSelectAllMatching,
+  onAction,
+  onClear
+}) {
+  const count = allMatching ? matchingCount : selectedCount;
+
+  return (
+    <div className="bulk-action-bar">
+      <span className="bulk-action-count">
+        {allMatching ? `All ${count} matching alerts selected` : `${count} selected`}
+      </span>
+      {canSelectAllMatching && !allMatching && (
+        <button onClick={onSelectAllMatching} className="btn btn-outline btn-sm">
+          Select all {matchingCount} matching
+        </button>
+      )}
+
+      <div className="action-buttons">
+        <button onClick={() => onAction('acknowledge')} disabled={busy} className="btn btn-secondary btn-sm">
+          Acknowledge
+        </button>
+        <button onClick={() => onAction('in_progress')} disabled={busy} className="btn btn-primary btn-sm">
+          Start Work
+        </button>
+        <button onClick={() => onAction('ignore')} disabled={busy} className="btn btn-outline btn-sm">
+          Ignore
+        </button>
+        <button onClick={() => onAction('reopen')} disabled={busy} className="btn btn-outline btn-sm">
+          Reopen
+        </button>
+        <button onClick={() => onAction('redact')} disabled={busy} className="btn btn-warning btn-sm">
+          Redact
+        </button>
+        {canDelete && (
+          <button onClick={() => onAction('delete')} disabled={busy} className="btn btn-danger btn-sm">
+            Delete Rows
+          </button>
+        )}
+        <button onClick={onClear} disabled={busy} className="btn btn-outline btn-sm">
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BulkActionBar;
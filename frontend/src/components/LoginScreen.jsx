@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { getAuthConfig, login, OIDC_LOGIN_URL } from '../api';
+
+const LOGIN_ERRORS = {
+  account_disabled: 'Your account has been disabled.',
+  oidc_failed: 'Single sign-on failed. Please try again.'
+};
+
+function LoginScreen({ onLogin, initialError }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [authConfig, setAuthConfig] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(
+    initialError ? LOGIN_ERRORS[initialError] || `Sign-in failed: ${initialError}` : null
+  );
+
+  useEffect(() => {
+    getAuthConfig()
+      .then(setAuthConfig)
+      .catch(() => setAuthConfig({ local: true, oidc: null }));
+  }, []);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const user = await login(username, password);
+      onLogin(user);
+    } catch (err) {
+      setError(err.message || 'Login failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-screen">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <h2>Sign in</h2>
+
+        {error && <div className="error">{error}</div>}
+
+        <label>
+          Username
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            required
+          />
+        </label>
+        <label>
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+          />
+        </label>
+
+        <button type="submit" className="btn btn-primary" disabled={submitting}>
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+
+        {authConfig?.oidc && (
+          <a href={OIDC_LOGIN_URL} className="btn btn-outline login-sso">
+            Sign in with {authConfig.oidc.providerName}
+          </a>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default LoginScreen;
@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { getOwners } from '../api';
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// `onViewAlerts(owner)` opens the dashboard filtered to that owner's alerts
+function OwnersView({ onViewAlerts }) {
+  const [owners, setOwners] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getOwners()
+      .then(data => {
+        if (!cancelled) setOwners(data.items || []);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message || 'Failed to fetch owners');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const withOpenAlerts = owners.filter(entry => entry.unresolved > 0);
+
+  return (
+    <div className="owners-view">
+      <div className="dashboard-header">
+        <h2>Owners</h2>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {loading ? (
+        <div className="loading">Loading owners...</div>
+      ) : (
+        <>
+          <table>
+            <thead>
+              <tr>
+                <th>Owner</th>
+                <th>Open</th>
+                <th>Acknowledged</th>
+                <th>In progress</th>
+                {SEVERITIES.map(severity => <th key={severity}>{severity}</th>)}
+                <th>Docs</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {withOpenAlerts.map(entry => (
+                <tr key={entry.owner || 'none'}>
+                  <td>
+                    {entry.owner ? (entry.ownerName || entry.owner) : 'Unknown owner'}
+                    {entry.owner && entry.ownerName && <div className="alert-description">{entry.owner}</div>}
+                  </td>
+                  <td>{entry.open}</td>
+                  <td>{entry.acknowledged}</td>
+                  <td>{entry.inProgress}</td>
+                  {SEVERITIES.map(severity => (
+                    <td key={severity}>
+                      {entry.bySeverity[severity] > 0
+                        ? <span className={`badge severity-${severity}`}>{entry.bySeverity[severity]}</span>
+                        : 0}
+                    </td>
+                  ))}
+                  <td>{entry.docsWithOpenAlerts}</td>
+                  <td>
+                    <button onClick={() => onViewAlerts(entry.owner || 'none')} className="btn btn-secondary btn-sm">
+                      View alerts
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {withOpenAlerts.length === 0 && <div className="empty-state">No owners have unresolved alerts.</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default OwnersView;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getScans, getScan } from '../api';
+import Pagination from './Pagination';
+import useServerEvents from '../useServerEvents';
+
+const ITEMS_PER_PAGE = 20;
+
+const STATUS_LABELS = {
+  running: 'Running',
+  completed: 'Completed',
+  completed_with_errors: 'Completed with errors',
+  failed: 'Failed',
+  interrupted: 'Interrupted'
+};
+
+function formatDuration(ms) {
+  if (ms == null) return '—';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function ScanHistory() {
+  const [scans, setScans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 });
+  const [expandedScan, setExpandedScan] = useState(null);
+
+  const fetchScans = useCallback(async () => {
+    setError(null);
+    try {
+      const data = await getScans(currentPage, ITEMS_PER_PAGE);
+      setScans(data.items || []);
+      setPagination(data.pagination);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch scan history');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage]);
+
+  // Running scans update in place; a new scan is added to the first page
+  const live = useServerEvents({
+    'scan-progress': (scan) => {
+      setScans(prev => {
+        if (prev.some(s => s.id === scan.id)) return prev.map(s => (s.id === scan.id ? scan : s));
+        return currentPage === 1 ? [scan, ...prev].slice(0, ITEMS_PER_PAGE) : prev;
+      });
+    }
+  });
+
+  // Also refetches after a reconnect, in case events were missed
+  useEffect(() => {
+    fetchScans();
+  }, [fetchScans, live]);
+
+  // Error details are only returned for a single scan
+  const toggleDetails = async (scanId) => {
+    if (expandedScan?.id === scanId) {
+      setExpandedScan(null);
+      return;
+    }
+    try {
+      setExpandedScan(await getScan(scanId));
+    } catch (err) {
+      setError(err.message || 'Failed to fetch scan');
+    }
+  };
+
+  return (
+    <div className="scan-history">
+      <div className="dashboard-header">
+        <h2>Scan History</h2>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {loading ? (
+        <div className="loading">Loading scans...</div>
+      ) : (
+        <>
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Started</th>
+                <th>Trigger</th>
+                <th>Status</th>
+                <th>Duration</th>
+                <th>Scanned</th>
+                <th>Alerts</th>
+                <th>Errors</th>
+              </tr>
+            </thead>
+            <tbody>
+              {scans.map(scan => (
+                <React.Fragment key={scan.id}>
+                  <tr>
+                    <td>{scan.id}</td>
+                    <td>{new Date(scan.startedAt).toLocaleString()}</td>
+                    <td>
+                      {scan.trigger || 'manual'} ({scan.mode})
+                      {scan.requestedBy && <div className="alert-description">by {scan.requestedBy}</div>}
+                    </td>
+                    <td>
+                      <span className={`scan-status scan-status-${scan.status}`}>
+                        {STATUS_LABELS[scan.status] || scan.status}
+                      </span>
+                      {scan.status === 'running' && scan.documentsTotal != null && (
+                        <div className="alert-description">
+                          {scan.documentsScanned}/{scan.documentsTotal} docs
+                        </div>
+                      )}
+                    </td>
+                    <td>{formatDuration(scan.durationMs)}</td>
+                    <td>
+                      {scan.documentsScanned} docs ({scan.documentsSkipped} unchanged)
+                      <div className="alert-description">
+                        {scan.tablesScanned ?? 0} tables, {scan.rowsScanned} rows, {scan.pagesScanned} pages
+                      </div>
+                    </td>
+                    <td>
+                      {scan.alertsCreated} new, {scan.alertsResolved} resolved
+                      {scan.alertsSuppressed > 0 && (
+                        <div className="alert-description">{scan.alertsSuppressed} suppressed</div>
+                      )}
+                    </td>
+                    <td>
+                      {scan.errorCount > 0 || scan.error ? (
+                        <button onClick={() => toggleDetails(scan.id)} className="btn btn-secondary btn-sm">
+                          {expandedScan?.id === scan.id ? 'Hide' : scan.errorCount > 0 ? `${scan.errorCount} error(s)` : 'Details'}
+                        </button>
+                      ) : (
+                        '0'
+                      )}
+                    </td>
+                  </tr>
+                  {expandedScan?.id === scan.id && (
+                    <tr className="scan-errors-row">
+                      <td colSpan="8">
+                        {expandedScan.error && <div className="error">{expandedScan.error}</div>}
+                        <ul className="scan-errors">
+                          {(expandedScan.errors || []).map((scanError, index) => (
+                            <li key={index}>
+                              <strong>{scanError.stage}</strong> {scanError.docId}
+                              {scanError.tableId && ` / ${scanError.tableId}`}: {scanError.error}
+                              {scanError.code && <span className="alert-description"> ({scanError.code})</span>}
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+
+          {scans.length === 0 && <div className="empty-state">No scans have run yet.</div>}
+
+          {pagination.totalPages > 1 && (
+            <Pagination
+              currentPage={currentPage}
+              totalPages={pagination.totalPages}
+              onPageChange={setCurrentPage}
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ScanHistory;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { createSuppression } from '../api';
+
+const CRITERIA_FIELDS = [
+  { name: 'docId', label: 'Document ID' },
+  { name: 'tableId', label: 'Table ID' },
+  { name: 'columnName', label: 'Column' },
+  { name: 'sensitiveType', label: 'Detector' },
+  { name: 'alertType', label: 'Alert type' }
+];
+
+// Builds the form's starting values from an alert, so "suppress similar"
+// starts narrow and the user clears fields to widen it
+function valuesFromAlert(alert) {
+  if (!alert) return {};
+  const hashes = alert.metadata?.valueHashes || [];
+  return {
+    docId: alert.docId || '',
+    tableId: alert.metadata?.tableId || '',
+    columnName: alert.metadata?.columnName || '',
+    sensitiveType: alert.metadata?.sensitiveType || '',
+    alertType: alert.type || '',
+    valueHash: hashes.length === 1 ? hashes[0] : ''
+  };
+}
+
+function SuppressionForm({ alert, onSaved, onCancel }) {
+  const [values, setValues] = useState(() => ({
+    docId: '',
+    tableId: '',
+    columnName: '',
+    sensitiveType: '',
+    alertType: '',
+    valueHash: '',
+    reason: '',
+    mode: 'ignore',
+    expiresAt: '',
+    applyToExisting: true,
+    ...valuesFromAlert(alert)
+  }));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const update = (field, value) => setValues(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const payload = { ...values };
+      for (const key of Object.keys(payload)) {
+        if (payload[key] === '') delete payload[key];
+      }
+      if (values.expiresAt) payload.expiresAt = new Date(`${values.expiresAt}T23:59:59.999`).toISOString();
+      const result = await createSuppression(payload);
+      onSaved(result);
+    } catch (err) {
+      const details = err.response?.data?.details;
+      setError(details ? details.join('; ') : err.message || 'Failed to save suppression');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="suppression-form" onSubmit={handleSubmit}>
+      <h4>{alert ? 'Suppress similar findings' : 'New suppression rule'}</h4>
+      {error && <div className="error">{error}</div>}
+
+      <div className="suppression-form-grid">
+        {CRITERIA_FIELDS.map(field => (
+          <label key={field.name}>
+            {field.label}
+            <input
+              type="text"
+              value={values[field.name]}
+              onChange={(e) => update(field.name, e.target.value)}
+              placeholder="Any"
+            />
+          </label>
+        ))}
+        <label>
+          Value hash
+          <input
+            type="text"
+            value={values.valueHash}
+            onChange={(e) => update('valueHash', e.target.value)}
+            placeholder="Any value"
+          />
+        </label>
+        <label>
+          When matched
+          <select value={values.mode} onChange={(e) => update('mode', e.target.value)}>
+            <option value="ignore">Record as ignored</option>
+            <option value="skip">Skip entirely</option>
+          </select>
+        </label>
+        <label>
+          Expires
+          <input type="date" value={values.expiresAt} onChange={(e) => update('expiresAt', e.target.value)} />
+        </label>
+      </div>
+
+      <label>
+        Reason
+        <input
+          type="text"
+          value={values.reason}
+          onChange={(e) => update('reason', e.target.value)}
+          placeholder="Why these findings are acceptable"
+          required
+        />
+      </label>
+      <label className="suppression-form-checkbox">
+        <input
+          type="checkbox"
+          checked={values.applyToExisting}
+          onChange={(e) => update('applyToExisting', e.target.checked)}
+        />
+        Also ignore matching open alerts
+      </label>
+
+      <div className="action-buttons">
+        <button type="submit" className="btn btn-primary btn-sm" disabled={saving}>
+          {saving ? 'Saving...' : 'Save suppression'}
+        </button>
+        <button type="button" className="btn btn-outline btn-sm" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default SuppressionForm;
@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getSuppressions, deleteSuppression } from '../api';
+import { hasRole } from '../roles';
+import SuppressionForm from './SuppressionForm';
+
+const CRITERIA_LABELS = {
+  docId: 'doc',
+  tableId: 'table',
+  columnName: 'column',
+  sensitiveType: 'detector',
+  alertType: 'type',
+  valueHash: 'value'
+};
+
+function describeCriteria(suppression) {
+  return Object.entries(CRITERIA_LABELS)
+    .filter(([field]) => suppression[field])
+    .map(([field, label]) => `${label}: ${field === 'valueHash' ? `${suppression[field].slice(0, 10)}…` : suppression[field]}`);
+}
+
+function SuppressionList({ user }) {
+  const [suppressions, setSuppressions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  const canManage = hasRole(user, 'analyst');
+
+  const fetchSuppressions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await getSuppressions();
+      setSuppressions(data.items || []);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch suppressions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSuppressions();
+  }, [fetchSuppressions]);
+
+  const handleSaved = async (result) => {
+    setShowForm(false);
+    setNotice(`Suppression saved; ${result.alertsIgnored} existing alert(s) ignored`);
+    await fetchSuppressions();
+  };
+
+  const handleDelete = async (suppressionId) => {
+    if (!window.confirm('Delete this suppression? Matching findings will raise alerts again.')) return;
+    try {
+      await deleteSuppression(suppressionId);
+      await fetchSuppressions();
+    } catch (err) {
+      setError(err.message || 'Failed to delete suppression');
+    }
+  };
+
+  return (
+    <div className="suppression-list">
+      <div className="dashboard-header">
+        <h2>Suppression Rules</h2>
+        {canManage && !showForm && (
+          <button onClick={() => setShowForm(true)} className="btn btn-primary">
+            New Suppression
+          </button>
+        )}
+      </div>
+
+      {showForm && <SuppressionForm onSaved={handleSaved} onCancel={() => setShowForm(false)} />}
+      {notice && <div className="bulk-result">{notice}</div>}
+      {error && <div className="error">{error}</div>}
+
+      {loading ? (
+        <div className="loading">Loading suppressions...</div>
+      ) : (
+        <>
+          <table>
+            <thead>
+              <tr>
+                <th>Matches</th>
+                <th>Reason</th>
+                <th>Mode</th>
+                <th>Expires</th>
+                <th>Hits</th>
+                <th>Created</th>
+                {canManage && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {suppressions.map(suppression => (
+                <tr key={suppression.id} className={suppression.active ? '' : 'alert-row-resolved'}>
+                  <td>
+                    {describeCriteria(suppression).map(criterion => (
+                      <div key={criterion} className="suppression-criterion">{criterion}</div>
+                    ))}
+                  </td>
+                  <td>{suppression.reason}</td>
+                  <td>{suppression.mode === 'skip' ? 'Skip' : 'Ignore'}</td>
+                  <td>
+                    {suppression.expiresAt ? new Date(suppression.expiresAt).toLocaleDateString() : 'Never'}
+                    {!suppression.active && <div className="alert-resolved-at">Expired</div>}
+                  </td>
+                  <td>
+                    {suppression.matchCount || 0}
+                    {suppression.lastMatchedAt && (
+                      <div className="alert-description">
+                        Last {new Date(suppression.lastMatchedAt).toLocaleString()}
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    {new Date(suppression.createdAt).toLocaleDateString()}
+                    {suppression.createdBy && <div className="alert-description">by {suppression.createdBy}</div>}
+                  </td>
+                  {canManage && (
+                    <td>
+                      <button onClick={() => handleDelete(suppression.id)} className="btn btn-danger btn-sm">
+                        Delete
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {suppressions.length === 0 && (
+            <div className="empty-state">No suppression rules. Suppress an alert to stop similar findings being raised.</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SuppressionList;
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { getAlertTrends } from '../api';
+
+const INTERVALS = [
+  { value: 'day', label: 'Daily (30 days)' },
+  { value: 'week', label: 'Weekly (12 weeks)' }
+];
+
+const SEVERITY_SERIES = [
+  { key: 'critical', label: 'Critical', color: '#dc3545' },
+  { key: 'high', label: 'High', color: '#fd7e14' },
+  { key: 'medium', label: 'Medium', color: '#ffc107' },
+  { key: 'low', label: 'Low', color: '#17a2b8' }
+];
+
+const DETECTOR_COLORS = ['#1a1a2e', '#6f42c1', '#dc3545', '#fd7e14', '#28a745', '#17a2b8'];
+const OTHER_COLOR = '#adb5bd';
+const MAX_DETECTORS = DETECTOR_COLORS.length;
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = { top: 10, right: 10, bottom: 22, left: 34 };
+
+function formatBucket(iso, interval) {
+  const date = new Date(iso);
+  const label = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  return interval === 'week' ? `Week of ${label}` : label;
+}
+
+// Stacks series values bottom-up: returns per series the [y0, y1] of each bucket
+function stack(series, count) {
+  const base = new Array(count).fill(0);
+  return series.map(s => s.values.map((value, i) => {
+    const y0 = base[i];
+    base[i] += value;
+    return [y0, base[i]];
+  }));
+}
+
+// Minimal stacked area / bar chart in SVG, with a <title> per bucket as tooltip
+function StackedChart({ buckets, series, type, interval }) {
+  const count = buckets.length;
+  const stacked = stack(series, count);
+  const max = Math.max(1, ...stacked.flatMap(s => s.map(([, y1]) => y1)));
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = innerWidth / Math.max(1, count);
+
+  const x = i => PADDING.left + (type === 'bar' ? i * slot : (count > 1 ? (i * innerWidth) / (count - 1) : innerWidth / 2));
+  const y = value => PADDING.top + innerHeight - (value / max) * innerHeight;
+
+  const areaPath = (points) => {
+    const top = points.map(([, y1], i) => `${x(i)},${y(y1)}`);
+    const bottom = points.map(([y0], i) => `${x(i)},${y(y0)}`).reverse();
+    return `M${top.join('L')}L${bottom.join('L')}Z`;
+  };
+
+  const labelIndexes = [...new Set([0, Math.floor((count - 1) / 2), count - 1])].filter(i => i >= 0);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="trend-chart" role="img">
+      <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(0)} y2={y(0)} className="trend-axis" />
+      <text x={PADDING.left - 6} y={y(max) + 4} className="trend-axis-label" textAnchor="end">{max}</text>
+      <text x={PADDING.left - 6} y={y(0)} className="trend-axis-label" textAnchor="end">0</text>
+
+      {series.map((s, seriesIndex) => (type === 'bar'
+        ? stacked[seriesIndex].map(([y0, y1], i) => (y1 > y0 ? (
+          <rect
+            key={`${s.key}-${i}`}
+            x={x(i) + slot * 0.15}
+            width={slot * 0.7}
+            y={y(y1)}
+            height={y(y0) - y(y1)}
+            fill={s.color}
+          >
+            <title>{`${formatBucket(buckets[i].start, interval)}: ${s.label} ${y1 - y0}`}</title>
+          </rect>
+        ) : null))
+        : <path key={s.key} d={areaPath(stacked[seriesIndex])} fill={s.color} fillOpacity="0.85" />
+      ))}
+
+      {type !== 'bar' && buckets.map((bucket, i) => (
+        <rect key={bucket.start} x={x(i) - slot / 2} width={slot} y={PADDING.top} height={innerHeight} fill="transparent">
+          <title>
+            {`${formatBucket(bucket.start, interval)}\n${series.map((s, j) => `${s.label}: ${stacked[j][i][1] - stacked[j][i][0]}`).join('\n')}`}
+          </title>
+        </rect>
+      ))}
+
+      {labelIndexes.map(i => (
+        <text
+          key={i}
+          x={type === 'bar' ? x(i) + slot / 2 : x(i)}
+          y={HEIGHT - 6}
+          className="trend-axis-label"
+          textAnchor={i === 0 ? 'start' : i === count - 1 ? 'end' : 'middle'}
+        >
+          {formatBucket(buckets[i].start, interval)}
+        </text>
+      ))}
+    </svg>
+  );
+}
+
+function Legend({ series }) {
+  return (
+    <div className="trend-legend">
+      {series.map(s => (
+        <span key={s.key}>
+          <span className="trend-legend-swatch" style={{ background: s.color }} />
+          {s.label}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// The most frequent detectors get their own series; the rest are "Other"
+function detectorSeries(buckets) {
+  const totals = {};
+  for (const bucket of buckets) {
+    for (const [detector, count] of Object.entries(bucket.created.byDetector)) {
+      totals[detector] = (totals[detector] || 0) + count;
+    }
+  }
+  const ranked = Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
+  const shown = ranked.slice(0, ranked.length > MAX_DETECTORS ? MAX_DETECTORS - 1 : MAX_DETECTORS);
+  const series = shown.map((detector, i) => ({
+    key: detector,
+    label: detector,
+    color: DETECTOR_COLORS[i],
+    values: buckets.map(bucket => bucket.created.byDetector[detector] || 0)
+  }));
+  if (ranked.length > shown.length) {
+    series.push({
+      key: '__other',
+      label: 'Other',
+      color: OTHER_COLOR,
+      values: buckets.map(bucket => Object.entries(bucket.created.byDetector)
+        .filter(([detector]) => !shown.includes(detector))
+        .reduce((sum, [, count]) => sum + count, 0))
+    });
+  }
+  return series;
+}
+
+// `refreshKey` changes whenever the dashboard's alerts change
+function TrendCharts({ refreshKey }) {
+  const [trendInterval, setTrendInterval] = useState('day');
+  const [trends, setTrends] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getAlertTrends(trendInterval)
+      .then(data => {
+        if (cancelled) return;
+        setTrends(data);
+        setError(null);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message || 'Failed to fetch trends');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [trendInterval, refreshKey]);
+
+  const buckets = trends?.buckets || [];
+  const openSeries = SEVERITY_SERIES.map(s => ({ ...s, values: buckets.map(bucket => bucket.open.bySeverity[s.key] || 0) }));
+  const detectors = detectorSeries(buckets);
+
+  const first = buckets[0];
+  const last = buckets[buckets.length - 1];
+  const created = buckets.reduce((sum, bucket) => sum + bucket.created.total, 0);
+  const remediated = buckets.reduce((sum, bucket) => sum + bucket.remediated.total, 0);
+
+  return (
+    <div className="trend-charts">
+      <div className="trend-charts-header">
+        <h3>Trends</h3>
+        {first && last && (
+          <span className="trend-summary">
+            Open alerts {first.open.total} → {last.open.total}; {created} created, {remediated} remediated
+          </span>
+        )}
+        <select value={trendInterval} onChange={(e) => setTrendInterval(e.target.value)} aria-label="Trend interval">
+          {INTERVALS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {buckets.length > 0 && (
+        <div className="trend-chart-grid">
+          <div className="trend-chart-card">
+            <h4>Open alerts by severity</h4>
+            <StackedChart buckets={buckets} series={openSeries} type="area" interval={trends.interval} />
+            <Legend series={openSeries} />
+          </div>
+          <div className="trend-chart-card">
+            <h4>New content findings by detector</h4>
+            {detectors.length > 0 ? (
+              <>
+                <StackedChart buckets={buckets} series={detectors} type="bar" interval={trends.interval} />
+                <Legend series={detectors} />
+              </>
+            ) : (
+              <div className="empty-state">No content findings in this period.</div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TrendCharts;
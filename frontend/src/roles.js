@@ -0,0 +1,5 @@
+// Mirrors backend/src/auth/roles.js: each role includes the ones before it
+const ROLES = ['viewer', 'analyst', 'admin'];
+
+export const hasRole = (user, minimumRole) =>
+  Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(minimumRole);
@@ -0,0 +1,31 @@
+import { useState, useEffect, useRef } from 'react';
+import { openEventStream } from './api';
+
+const EVENT_TYPES = ['alert-created', 'alert-updated', 'scan-progress'];
+
+// Subscribes to the backend event stream for the lifetime of the component.
+// `handlers` maps event types to callbacks receiving the parsed payload.
+// Returns whether the stream is connected, so callers can fall back to
+// polling (and catch up on missed events) while it is not.
+function useServerEvents(handlers) {
+  const [connected, setConnected] = useState(false);
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    const source = openEventStream();
+    source.onopen = () => setConnected(true);
+    source.onerror = () => setConnected(false);
+    for (const type of EVENT_TYPES) {
+      source.addEventListener(type, (event) => handlersRef.current[type]?.(JSON.parse(event.data)));
+    }
+    return () => source.close();
+  }, []);
+
+  return connected;
+}
+
+export default useServerEvents;